@@ -73,13 +73,14 @@ async function demonstrateReplayWithNonces() {
   console.log('   Replayed Message (same nonce):', replayedMessage.nonce.substring(0, 20) + '...');
 
   console.log('\n4. Server checks if nonce already exists');
-  console.log('   ✅ Nonce found in database - REJECTED!');
-  console.log('   ❌ Replay attack detected and prevented');
+  console.log('   ✅ Nonce found in database - no new message is stored!');
+  console.log('   - Exact resend by the sender: original message ID returned (idempotent retry)');
+  console.log('   - Anything else reusing the nonce: REJECTED as a replay attack');
 
   console.log('\n✅ PROTECTION: Nonces prevent replay attacks!');
   console.log('   - Each message has a unique nonce');
   console.log('   - Server stores all nonces');
-  console.log('   - Duplicate nonces are rejected');
+  console.log('   - A duplicate nonce never creates a second message');
 }
 
 /**
@@ -169,6 +170,11 @@ async function demonstrateReplayWithSequenceNumbers() {
   console.log('   - Each message has an incrementing sequence number');
   console.log('   - Recipients track the last received sequence number');
   console.log('   - Messages with old sequence numbers are rejected');
+  console.log('\n   In this app:');
+  console.log('   - The server keeps the next expected number per sender/receiver pair');
+  console.log('     (server/models/MessageSequence.js) and answers regressions with 409');
+  console.log('   - The receiving Chat flags gaps, duplicates and reordering inline');
+  console.log('     (client/src/utils/sequence.js)');
 }
 
 /**
@@ -6,6 +6,7 @@ import Dashboard from './components/Dashboard';
 import Chat from './components/Chat';
 import Files from './components/Files';
 import AuditLogs from './components/AuditLogs';
+import Settings from './components/Settings';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import './App.css';
 
@@ -56,6 +57,14 @@ function AppRoutes() {
           </PrivateRoute>
         }
       />
+      <Route
+        path="/settings"
+        element={
+          <PrivateRoute>
+            <Settings />
+          </PrivateRoute>
+        }
+      />
       <Route path="/" element={<Navigate to="/dashboard" />} />
     </Routes>
   );
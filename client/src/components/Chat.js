@@ -6,80 +6,345 @@ import axios from 'axios';
 // Crypto utilities
 // --- IGNORE ---
 import {
-  encryptMessage,
-  decryptMessage,
   generateAESKey,
   generateNonce
 } from '../utils/crypto';
-import { getPrivateKey } from '../utils/keyStorage';
+import { ratchetEncrypt, ratchetDecrypt } from '../utils/ratchet';
+import {
+  buildMessageEnvelope,
+  openMessageEnvelope,
+  buildMessageHeader,
+  MESSAGE_PROTOCOL_VERSION
+} from '../utils/messageEnvelope';
+import { analyzeSequence, describeSequenceIssue } from '../utils/sequence';
+import { signMessage, verifyMessageSignature } from '../utils/messageSignature';
+import { isRetryableSendError, getRetryDelay } from '../utils/outbox';
+import {
+  getPrivateKey,
+  getPreKey,
+  deletePreKey,
+  storeExchangeKey,
+  getExchangeKey,
+  deleteExchangeKey,
+  storeSession,
+  getSession,
+  deleteSession,
+  getKeyLogState,
+  storeKeyLogState,
+  getContactVerification,
+  storeContactVerification,
+  deleteContactVerification,
+  getPinnedKey,
+  storePinnedKey,
+  storeOutboxMessage,
+  listOutboxMessages,
+  deleteOutboxMessage
+} from '../utils/keyStorage';
 import {
   initiateKeyExchange,
+  initiatePreKeyExchange,
+  verifySignedPreKey,
   respondToKeyExchange,
-  deriveSessionKey,
-  generateKeyConfirmation
+  signHandshake,
+  verifyHandshakeSignature,
+  buildHandshakeTranscript,
+  deriveSessionKeys,
+  derivePreKeySessionKeys,
+  initSessionRatchet,
+  generateKeyConfirmation,
+  verifyKeyConfirmation,
+  InvalidSignatureError
 } from '../utils/keyExchange';
+import { verifyKeyRotationChain } from '../utils/keyRotation';
+import { verifyKeyInclusion, verifyTreeHead, verifyTreeHeadConsistency } from '../utils/keyTransparency';
+import { computeKeyFingerprint } from '../utils/keyBackup';
+import VerifyContact from './VerifyContact';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+// Key transparency log signing key; pinned on first use when not configured
+const KEY_LOG_PUBLIC_KEY = process.env.REACT_APP_KEY_LOG_PUBLIC_KEY;
+
+// Run ratchet operations one at a time so each sees the previous one's
+// state, and persist the session after every step
+const withRatchet = (session, operation) => {
+  const run = session.queue.then(async () => {
+    const result = await operation(session.state);
+    session.state = result.state;
+    await storeSession(session.username, session.peerId, session);
+    return result;
+  });
+  session.queue = run.catch(() => {});
+  return run;
+};
 
 function Chat() {
   const { userId } = useParams();
-  const { user } = useAuth();
+  const { user, socket, clockOffset } = useAuth();
   const navigate = useNavigate();
   const [otherUser, setOtherUser] = useState(null);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
-  const [sessionKey, setSessionKey] = useState(null);
-  const [keyExchangeStatus, setKeyExchangeStatus] = useState('idle'); // idle, initiating, pending, completed
+  const [session, setSession] = useState(null);
+  const [keyExchangeStatus, setKeyExchangeStatus] = useState('idle'); // idle, initiating, pending, request, declined, confirming, completed
+  // Exchange behind the request / pending / declined states
+  const [openRequest, setOpenRequest] = useState(null);
   const [sequenceNumber, setSequenceNumber] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [verification, setVerification] = useState(null);
+  const [showVerify, setShowVerify] = useState(false);
+  // Set when the peer's key no longer matches the pinned fingerprint
+  const [keyChange, setKeyChange] = useState(null);
+  const reportedKeyChange = useRef(null);
   const messagesEndRef = useRef(null);
+  // Latest messages for socket handlers, and ids currently being decrypted
+  const messagesRef = useRef([]);
+  const decrypting = useRef(new Set());
+  // Serializes key exchange checks triggered by socket events and polling
+  const keyExchangeCheck = useRef({ running: false, rerun: false });
+  // Newest peer message timestamp already reported as read
+  const lastReadAt = useRef(null);
+  // Receipts by message id, kept for receipts that beat the optimistic update
+  const receipts = useRef({});
+  // Messages queued for this peer (see utils/outbox), shown until sent
+  const [outbox, setOutbox] = useState([]);
+  // Latest session for outbox retries, which outlive the render they start in
+  const sessionRef = useRef(null);
+  // Serializes outbox flushes; force skips the backoff delay
+  const outboxFlush = useRef({ running: false, rerun: false, force: false });
+  const outboxTimer = useRef(null);
 
   useEffect(() => {
     if (userId) {
       loadUser();
       loadMessages();
-      checkKeyExchange();
+      refreshKeyExchange();
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    sessionRef.current = session;
+    if (session) {
+      flushOutbox();
     }
+  }, [session]);
+
+  useEffect(() => {
+    scrollToBottom();
+  }, [outbox]);
+
+  useEffect(() => {
+    // Retry queued messages right away when connectivity returns
+    const onOnline = () => flushOutbox(true);
+    window.addEventListener('online', onOnline);
+
+    return () => {
+      window.removeEventListener('online', onOnline);
+      clearTimeout(outboxTimer.current);
+    };
   }, [userId]);
 
   useEffect(() => {
+    messagesRef.current = messages;
     scrollToBottom();
+    markConversationRead();
   }, [messages]);
 
+  useEffect(() => {
+    if (otherUser?._id) {
+      getContactVerification(user.username, otherUser._id)
+        .then(setVerification)
+        .catch(console.error);
+    }
+  }, [otherUser]);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  // Check the peer's key is in the transparency log and that the log only
+  // grew since the tree head this user last verified
+  const verifyPeerKeyTransparency = async (peer) => {
+    const trusted = await getKeyLogState(user.username);
+    let logPublicKey = KEY_LOG_PUBLIC_KEY || trusted?.logPublicKey;
+    if (!logPublicKey) {
+      const response = await axios.get(`${API_URL}/key-log/public-key`);
+      logPublicKey = response.data.publicKey;
+    }
+
+    let treeHead = await verifyKeyInclusion(peer, logPublicKey);
+
+    if (trusted?.treeHead) {
+      await verifyTreeHead(trusted.treeHead, logPublicKey);
+      const [older, newer] = trusted.treeHead.treeSize <= treeHead.treeSize
+        ? [trusted.treeHead, treeHead]
+        : [treeHead, trusted.treeHead];
+
+      let proof = [];
+      if (older.treeSize < newer.treeSize) {
+        const response = await axios.get(`${API_URL}/key-log/consistency`, {
+          params: { from: older.treeSize, to: newer.treeSize }
+        });
+        proof = response.data.proof;
+      }
+      await verifyTreeHeadConsistency(older, newer, proof);
+      treeHead = newer;
+    }
+
+    await storeKeyLogState(user.username, logPublicKey, treeHead);
+  };
+
+  // Fetch the peer's registered identity key; a rotated key is only accepted
+  // if its rotation chain links it back to the originally registered key
+  const fetchPeerIdentity = async () => {
+    const response = await axios.get(`${API_URL}/auth/user/${userId}`);
+    await verifyKeyRotationChain(response.data);
+    await verifyPeerKeyTransparency(response.data);
+    return response.data;
+  };
+
+  const reportKeyChange = async (change, action) => {
+    try {
+      await axios.post(`${API_URL}/audit/key-change`, {
+        contactId: userId,
+        previousFingerprint: change.previousFingerprint,
+        fingerprint: change.fingerprint,
+        action
+      });
+    } catch (e) {
+      console.error('Failed to report key change:', e);
+    }
+  };
+
+  // Trust on first use: pin the peer's key fingerprint on first contact and
+  // flag any later change until the user accepts the new key
+  const checkPinnedKey = async (peer) => {
+    const fingerprint = await computeKeyFingerprint(peer.publicKey);
+    const pinned = await getPinnedKey(user.username, userId);
+
+    if (!pinned) {
+      await storePinnedKey(user.username, userId, fingerprint);
+      return true;
+    }
+    if (pinned.fingerprint === fingerprint) {
+      return true;
+    }
+
+    // A rotation signed by the pinned key is still a change the user must accept
+    const pinnedKeys = await Promise.all(
+      (peer.rotationChain || []).map((entry) => computeKeyFingerprint(entry.publicKey))
+    );
+    const change = {
+      previousFingerprint: pinned.fingerprint,
+      fingerprint,
+      rotated: pinnedKeys.includes(pinned.fingerprint)
+    };
+    setKeyChange(change);
+
+    if (reportedKeyChange.current !== fingerprint) {
+      reportedKeyChange.current = fingerprint;
+      await reportKeyChange(change, 'detected');
+    }
+    return false;
+  };
+
+  const acceptKeyChange = async () => {
+    try {
+      await storePinnedKey(user.username, userId, keyChange.fingerprint);
+      await reportKeyChange(keyChange, 'accepted');
+      setKeyChange(null);
+      setError('');
+    } catch (error) {
+      console.error('Accept key change error:', error);
+      setError('Failed to accept the new key');
+    }
+  };
+
   const loadUser = async () => {
     try {
-      const response = await axios.get(`${API_URL}/auth/user/${userId}`);
-      setOtherUser(response.data);
+      const peer = await fetchPeerIdentity();
+      setOtherUser(peer);
+      await checkPinnedKey(peer);
     } catch (error) {
       console.error('Load user error:', error);
-      setError('Failed to load user');
+      setError(
+        error instanceof InvalidSignatureError
+          ? `Security warning: ${error.message}`
+          : 'Failed to load user'
+      );
+    }
+  };
+
+  // Peer's verified, pinned identity key (used to verify key exchange signatures)
+  const getPeerIdentity = async () => {
+    const peer = otherUser?.publicKey ? otherUser : await fetchPeerIdentity();
+    if (!(await checkPinnedKey(peer))) {
+      throw new Error(`${peer.username}'s identity key has changed. Review and accept the new key to continue.`);
+    }
+    return peer;
+  };
+
+  const reportSignatureFailure = async (keyExchangeId, reason) => {
+    try {
+      await axios.post(`${API_URL}/key-exchange/signature-failure`, {
+        keyExchangeId,
+        reason
+      });
+    } catch (e) {
+      console.error('Failed to report signature failure:', e);
     }
   };
 
   const loadMessages = async () => {
     try {
+      const queued = await listOutboxMessages(user.username, userId);
+      setOutbox(queued);
+
       const response = await axios.get(`${API_URL}/messages/conversation/${userId}`);
       setMessages(response.data);
-      
-      // Set sequence number based on last message
-      if (response.data.length > 0) {
-        const lastMessage = response.data[response.data.length - 1];
-        if (lastMessage.senderId._id === user.id) {
-          setSequenceNumber(lastMessage.sequenceNumber + 1);
-        }
-      }
+
+      // Continue numbering where the server's counter for this peer left off,
+      // or after the last queued message
+      const sequence = await axios.get(`${API_URL}/messages/sequence/${userId}`);
+      const lastQueued = queued[queued.length - 1];
+      setSequenceNumber(Math.max(sequence.data.nextSequence, lastQueued ? lastQueued.payload.sequenceNumber + 1 : 0));
     } catch (error) {
       console.error('Load messages error:', error);
     }
   };
 
+  // A stored session can send once both confirmations have verified, or
+  // right away for the initiator of a prekey exchange
+  const canSend = (stored) => stored.confirmed || (stored.mode === 'prekey' && stored.isInitiator);
+
+  const resumeSession = (stored) => {
+    const current = { ...stored, queue: Promise.resolve() };
+    setSession(current);
+    setKeyExchangeStatus(canSend(stored) ? 'completed' : 'confirming');
+    return current;
+  };
+
+  // Forget the session after a failed authentication (only if it came from
+  // the offending exchange) and block sending
+  const discardSession = async (keyExchangeId) => {
+    const stored = await getSession(user.username, userId);
+    if (stored && stored.keyExchangeId === keyExchangeId) {
+      await deleteSession(user.username, userId);
+    }
+    setSession(null);
+    setKeyExchangeStatus('idle');
+  };
+
   const checkKeyExchange = async () => {
+    let stored = null;
     try {
+      // Older versions kept the raw ECDH private key here
+      localStorage.removeItem(`keyExchange_${userId}`);
+
+      // Resume the stored session right away; only a newer exchange replaces it
+      stored = await getSession(user.username, userId);
+      const resumed = stored ? resumeSession(stored) : null;
+
       const response = await axios.get(`${API_URL}/key-exchange/pending`);
       const pending = response.data.find(
         ex => {
@@ -91,11 +356,44 @@ function Chat() {
         }
       );
 
+      const isClosed = pending && (pending.status === 'declined' || pending.status === 'cancelled');
+      setOpenRequest(pending || null);
+
+      if (pending && resumed && pending._id === resumed.keyExchangeId) {
+        if (isClosed) {
+          // The exchange behind our session was withdrawn
+          await discardSession(pending._id);
+          setKeyExchangeStatus(pending.status === 'declined' ? 'declined' : 'idle');
+          return;
+        }
+        // Same exchange as the stored session; just finish confirming it
+        if (!resumed.confirmed) {
+          await confirmSession(pending, resumed);
+        }
+        return;
+      }
+
+      if (isClosed) {
+        // Never re-request automatically after a decline or cancel; a usable
+        // session from an earlier exchange stays in place
+        if (!stored || !canSend(stored)) {
+          setKeyExchangeStatus(pending.status === 'declined' ? 'declined' : 'idle');
+        }
+        return;
+      }
+
       if (pending) {
+        const responderId = pending.responderId._id || pending.responderId;
+        const currentUserId = user.id || user._id;
+
+        if (responderId === currentUserId && !pending.acceptedAt) {
+          // Chat request waiting for our decision
+          setKeyExchangeStatus('request');
+          return;
+        }
+
         if (pending.status === 'pending') {
           setKeyExchangeStatus('pending');
-          const responderId = pending.responderId._id || pending.responderId;
-          const currentUserId = user.id || user._id;
           
           // If we're the responder and haven't responded yet, complete the exchange
           if (responderId === currentUserId && !pending.responderPublicKey) {
@@ -105,22 +403,86 @@ function Chat() {
           else if (responderId !== currentUserId && pending.responderPublicKey) {
             await establishSessionKey(pending);
           }
-        } else if (pending.status === 'completed') {
+        } else if (pending.status === 'completed' || pending.status === 'confirmed') {
           await establishSessionKey(pending);
         }
-      } else {
-        // No key exchange, initiate one
+      } else if (!stored || !canSend(stored)) {
+        // No usable session and no key exchange, initiate one
         await startKeyExchange();
       }
     } catch (error) {
       console.error('Check key exchange error:', error);
+      if (error instanceof InvalidSignatureError) {
+        await reportSignatureFailure(stored?.keyExchangeId, error.message);
+        await discardSession(stored?.keyExchangeId);
+        setError('Key exchange rejected: invalid signature. Possible MITM attack!');
+        return;
+      }
       // If no pending exchanges found, start a new one
-      if (error.response?.status === 404 || !error.response) {
+      if ((error.response?.status === 404 || !error.response) && !stored) {
         await startKeyExchange();
       }
     }
   };
 
+  // Run checkKeyExchange without overlapping runs; a request made while one
+  // is in progress runs once more afterwards
+  const refreshKeyExchange = async () => {
+    const check = keyExchangeCheck.current;
+    if (check.running) {
+      check.rerun = true;
+      return;
+    }
+
+    check.running = true;
+    try {
+      do {
+        check.rerun = false;
+        await checkKeyExchange();
+      } while (check.rerun);
+    } finally {
+      check.running = false;
+    }
+  };
+
+  const acceptRequest = async () => {
+    try {
+      setError('');
+      await axios.post(`${API_URL}/key-exchange/accept`, { keyExchangeId: openRequest._id });
+      await refreshKeyExchange();
+    } catch (error) {
+      console.error('Accept request error:', error);
+      setError('Failed to accept chat request: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const declineRequest = async (block) => {
+    try {
+      setError('');
+      await axios.post(`${API_URL}/key-exchange/decline`, { keyExchangeId: openRequest._id, block });
+      setKeyExchangeStatus('declined');
+      if (block) {
+        navigate('/dashboard');
+      }
+    } catch (error) {
+      console.error('Decline request error:', error);
+      setError('Failed to decline chat request: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const cancelRequest = async () => {
+    try {
+      setError('');
+      await axios.post(`${API_URL}/key-exchange/cancel`, { keyExchangeId: openRequest._id });
+      await deleteExchangeKey(user.username, openRequest._id);
+      await discardSession(openRequest._id);
+      setOpenRequest(null);
+    } catch (error) {
+      console.error('Cancel request error:', error);
+      setError('Failed to cancel chat request: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   const startKeyExchange = async () => {
     try {
       setKeyExchangeStatus('initiating');
@@ -131,92 +493,91 @@ function Chat() {
         throw new Error('Private key not found. Please register again.');
       }
 
-      const keyExchangeData = await initiateKeyExchange(
-        userId,
-        privateKeyData.privateKey,
-        user.username
-      );
+      // Prefer the prekey flow, which works while the other user is offline
+      let bundle = null;
+      try {
+        const claimResponse = await axios.post(`${API_URL}/prekeys/claim/${userId}`);
+        bundle = claimResponse.data;
+      } catch (claimError) {
+        if (claimError.response?.status !== 404) {
+          throw claimError;
+        }
+      }
+
+      if (bundle) {
+        await startPreKeyExchange(bundle);
+        return;
+      }
+
+      const keyExchangeData = await initiateKeyExchange();
 
       const response = await axios.post(`${API_URL}/key-exchange/initiate`, {
         responderId: userId,
+        protocolVersion: keyExchangeData.protocolVersion,
         initiatorPublicKey: keyExchangeData.initiatorPublicKey,
-        initiatorSignature: keyExchangeData.initiatorSignature
+        initiatorNonce: keyExchangeData.initiatorNonce
       });
 
+      setOpenRequest(response.data.keyExchange);
       setKeyExchangeStatus('pending');
-      // Store key exchange data for later (including ECDH key pair)
-      // The ecdhKeyPair contains a CryptoKeyPair object with .keyPair.privateKey
-      if (!keyExchangeData.ecdhKeyPair || !keyExchangeData.ecdhKeyPair.keyPair || !keyExchangeData.ecdhKeyPair.keyPair.privateKey) {
-        throw new Error('ECDH key pair structure invalid');
-      }
-      
-      // Export the private key to base64 for storage
-      const ecdhPrivateKey = await window.crypto.subtle.exportKey('pkcs8', keyExchangeData.ecdhKeyPair.keyPair.privateKey);
-      
-      // Use proper base64 conversion
-      const ecdhPrivateKeyArray = new Uint8Array(ecdhPrivateKey);
-      let binary = '';
-      for (let i = 0; i < ecdhPrivateKeyArray.byteLength; i++) {
-        binary += String.fromCharCode(ecdhPrivateKeyArray[i]);
-      }
-      const ecdhPrivateKeyBase64 = btoa(binary);
-      
-      localStorage.setItem(`keyExchange_${userId}`, JSON.stringify({
-        ecdhPrivateKey: ecdhPrivateKeyBase64,
-        keyExchangeId: response.data.keyExchangeId,
-        isInitiator: true
-      }));
+      // Keep the non-extractable ephemeral key until the session is established
+      await storeExchangeKey(user.username, response.data.keyExchangeId, keyExchangeData.ecdhPrivateKey);
     } catch (error) {
       console.error('Key exchange initiation error:', error);
+      if (error instanceof InvalidSignatureError) {
+        setError('Key exchange rejected: invalid signed prekey. Possible MITM attack!');
+        setKeyExchangeStatus('idle');
+        return;
+      }
       const errorMessage = error.response?.data?.error || error.message || 'Unknown error';
       setError('Failed to initiate key exchange: ' + errorMessage);
       setKeyExchangeStatus('idle');
     }
   };
 
+  // Derive the session from a claimed bundle right away; the responder
+  // signs and confirms whenever it next comes online
+  const startPreKeyExchange = async (bundle) => {
+    await verifySignedPreKey(userId, bundle.signedPreKey, await getPeerIdentity());
+
+    const keyExchangeData = await initiatePreKeyExchange(bundle);
+
+    const response = await axios.post(`${API_URL}/key-exchange/initiate`, {
+      responderId: userId,
+      mode: 'prekey',
+      protocolVersion: keyExchangeData.protocolVersion,
+      initiatorPublicKey: keyExchangeData.initiatorPublicKey,
+      initiatorNonce: keyExchangeData.initiatorNonce,
+      signedPreKeyId: keyExchangeData.signedPreKeyId,
+      oneTimePreKeyId: keyExchangeData.oneTimePreKeyId,
+      oneTimePreKey: keyExchangeData.oneTimePreKey
+    });
+
+    await storeExchangeKey(user.username, response.data.keyExchangeId, keyExchangeData.ecdhPrivateKey);
+
+    const created = await axios.get(`${API_URL}/key-exchange/${response.data.keyExchangeId}`);
+    await establishSessionKey(created.data);
+  };
+
   const completeKeyExchange = async (keyExchange) => {
     try {
       setKeyExchangeStatus('initiating');
       const privateKeyData = await getPrivateKey(user.username);
       
-      const responseData = await respondToKeyExchange(
-        keyExchange.initiatorPublicKey,
-        keyExchange.initiatorSignature,
-        keyExchange.initiatorId.username,
-        null, // We generate our own
-        privateKeyData.privateKey,
-        user.username
-      );
-
-      // Store responder's ECDH key pair for later use
-      // The ecdhKeyPair from respondToKeyExchange contains the CryptoKeyPair object
-      // We need to export the private key to base64 for storage
-      if (!responseData.ecdhKeyPair || !responseData.ecdhKeyPair.keyPair || !responseData.ecdhKeyPair.keyPair.privateKey) {
-        throw new Error('ECDH key pair not generated correctly');
-      }
-      
-      // Export the private key to base64
-      const ecdhPrivateKey = await window.crypto.subtle.exportKey('pkcs8', responseData.ecdhKeyPair.keyPair.privateKey);
-      const ecdhPrivateKeyArray = new Uint8Array(ecdhPrivateKey);
-      let binary = '';
-      for (let i = 0; i < ecdhPrivateKeyArray.byteLength; i++) {
-        binary += String.fromCharCode(ecdhPrivateKeyArray[i]);
-      }
-      const ecdhPrivateKeyBase64 = btoa(binary);
-      
-      localStorage.setItem(`keyExchange_${userId}`, JSON.stringify({
-        ecdhPrivateKey: ecdhPrivateKeyBase64,
-        isInitiator: false
-      }));
+      const responseData = await respondToKeyExchange(keyExchange, privateKeyData);
 
       // Validate data before sending
       if (!keyExchange._id || !responseData.responderPublicKey || !responseData.responderSignature) {
         throw new Error('Missing required key exchange data');
       }
 
+      // Keep the non-extractable ephemeral key until the session is established
+      await storeExchangeKey(user.username, keyExchange._id, responseData.ecdhPrivateKey);
+
       const respondResponse = await axios.post(`${API_URL}/key-exchange/respond`, {
         keyExchangeId: keyExchange._id,
         responderPublicKey: responseData.responderPublicKey,
+        responderNonce: responseData.responderNonce,
         responderSignature: responseData.responderSignature
       });
 
@@ -229,62 +590,347 @@ function Chat() {
       await establishSessionKey(updated.data);
     } catch (error) {
       console.error('Complete key exchange error:', error);
+      if (error instanceof InvalidSignatureError) {
+        await reportSignatureFailure(keyExchange._id, error.message);
+        setError('Key exchange rejected: invalid signature. Possible MITM attack!');
+        setKeyExchangeStatus('idle');
+        return;
+      }
       setError('Failed to complete key exchange: ' + (error.message || 'Unknown error'));
     }
   };
 
-  const establishSessionKey = async (keyExchange) => {
-    try {
-      const storedData = localStorage.getItem(`keyExchange_${userId}`);
-      
-      if (!storedData) {
-        throw new Error('Key exchange data not found in localStorage');
+  // Interactive mode: one DH between both ephemeral keys
+  const deriveInteractiveSession = async (keyExchange, isInitiator) => {
+    const ecdhPrivateKey = await getExchangeKey(user.username, keyExchange._id);
+    if (!ecdhPrivateKey) {
+      throw new Error('Ephemeral ECDH private key not found on this device');
+    }
+
+    if (isInitiator) {
+      if (!keyExchange.responderPublicKey) {
+        throw new Error('Responder public key not available yet. Wait for key exchange to complete.');
       }
 
-      const exchangeData = JSON.parse(storedData);
-      const isInitiator = keyExchange.initiatorId._id === user.id || keyExchange.initiatorId._id === user._id;
+      // Verify responder's signature before trusting their ECDH public key
+      await verifyHandshakeSignature(keyExchange, 'responder', await getPeerIdentity());
+    }
 
-      let myECDHPrivateKey, theirECDHPublicKey;
-      
-      if (isInitiator) {
-        // Initiator uses stored ECDH private key
-        if (!exchangeData.ecdhPrivateKey) {
-          throw new Error('Initiator ECDH private key not found in storage');
-        }
-        myECDHPrivateKey = exchangeData.ecdhPrivateKey;
-        
-        if (!keyExchange.responderPublicKey) {
-          throw new Error('Responder public key not available yet. Wait for key exchange to complete.');
+    const theirECDHPublicKey = isInitiator ? keyExchange.responderPublicKey : keyExchange.initiatorPublicKey;
+    const keys = await deriveSessionKeys(ecdhPrivateKey, theirECDHPublicKey, keyExchange);
+    return { ...keys, ratchetPrivateKey: ecdhPrivateKey };
+  };
+
+  // Prekey mode: the initiator combines its ephemeral key with the claimed
+  // prekeys; the responder looks up the matching prekey private keys locally
+  const derivePreKeySession = async (keyExchange, isInitiator) => {
+    const { responderPublicKey, initiatorPublicKey, oneTimePreKey } = keyExchange;
+
+    if (isInitiator) {
+      const ecdhPrivateKey = await getExchangeKey(user.username, keyExchange._id);
+      if (!ecdhPrivateKey) {
+        throw new Error('Ephemeral ECDH private key not found on this device');
+      }
+      const dhPairs = [[ecdhPrivateKey, responderPublicKey]];
+      if (oneTimePreKey) {
+        dhPairs.push([ecdhPrivateKey, oneTimePreKey]);
+      }
+      const keys = await derivePreKeySessionKeys(dhPairs, keyExchange);
+      return { ...keys, ratchetPrivateKey: ecdhPrivateKey };
+    }
+
+    // Authenticate the initiator before using our prekeys with its key
+    await verifyHandshakeSignature(keyExchange, 'initiator', await getPeerIdentity());
+
+    const signedPreKey = await getPreKey(user.username, 'signed', keyExchange.signedPreKeyId);
+    if (!signedPreKey || signedPreKey.publicKey !== responderPublicKey) {
+      throw new Error('Signed prekey not found on this device');
+    }
+    const dhPairs = [[signedPreKey.privateKey, initiatorPublicKey]];
+
+    if (oneTimePreKey) {
+      const oneTime = await getPreKey(user.username, 'one-time', keyExchange.oneTimePreKeyId);
+      if (!oneTime || oneTime.publicKey !== oneTimePreKey) {
+        throw new Error('One-time prekey not found on this device');
+      }
+      dhPairs.push([oneTime.privateKey, initiatorPublicKey]);
+    }
+
+    // The signed prekey doubles as the responder's first ratchet key
+    const keys = await derivePreKeySessionKeys(dhPairs, keyExchange);
+    return { ...keys, ratchetPrivateKey: signedPreKey.privateKey };
+  };
+
+  // Seed the Double Ratchet and persist it; the exchange's private keys are
+  // deleted once the ratchet state holds what it needs
+  const startRatchetSession = async (keyExchange, keys, isInitiator) => {
+    const previous = await getSession(user.username, userId);
+    const current = {
+      username: user.username,
+      peerId: userId,
+      keyExchangeId: keyExchange._id,
+      mode: keyExchange.mode,
+      isInitiator,
+      confirmed: false,
+      confirmationKey: keys.confirmationKey,
+      state: await initSessionRatchet(keyExchange, keys.rootKey, keys.ratchetPrivateKey, isInitiator),
+      // Keep history readable across re-keying
+      plaintexts: previous ? previous.plaintexts : {},
+      signatures: previous?.signatures || {},
+      rejected: previous?.rejected || {},
+      queue: Promise.resolve()
+    };
+    await storeSession(user.username, userId, current);
+
+    await deleteExchangeKey(user.username, keyExchange._id);
+    if (keyExchange.mode === 'prekey' && !isInitiator && keyExchange.oneTimePreKeyId !== null) {
+      await deletePreKey(user.username, 'one-time', keyExchange.oneTimePreKeyId);
+    }
+
+    setSession(current);
+    return current;
+  };
+
+  const establishSessionKey = async (keyExchange) => {
+    try {
+      const initiatorId = keyExchange.initiatorId._id || keyExchange.initiatorId;
+      const isInitiator = initiatorId === user.id || initiatorId === user._id;
+
+      let keys;
+      if (keyExchange.mode === 'prekey') {
+        // Initiator signs together with its confirmation; wait for it
+        if (!isInitiator && !keyExchange.initiatorSignature) {
+          setKeyExchangeStatus('pending');
+          return;
         }
-        theirECDHPublicKey = keyExchange.responderPublicKey;
+        keys = await derivePreKeySession(keyExchange, isInitiator);
       } else {
-        // Responder uses stored ECDH private key from completeKeyExchange
-        if (!exchangeData.ecdhPrivateKey) {
-          throw new Error('Responder ECDH private key not found in storage');
-        }
-        myECDHPrivateKey = exchangeData.ecdhPrivateKey;
-        theirECDHPublicKey = keyExchange.initiatorPublicKey;
+        keys = await deriveInteractiveSession(keyExchange, isInitiator);
       }
 
-      const sessionKey = await deriveSessionKey(
-        myECDHPrivateKey,
-        theirECDHPublicKey,
-        keyExchange.initiatorId._id || keyExchange.initiatorId,
-        keyExchange.responderId._id || keyExchange.responderId
-      );
-
-      setSessionKey(sessionKey);
-      setKeyExchangeStatus('completed');
+      const current = await startRatchetSession(keyExchange, keys, isInitiator);
       setError('');
+      await confirmSession(keyExchange, current);
     } catch (error) {
       console.error('Establish session key error:', error);
+      if (error instanceof InvalidSignatureError) {
+        await reportSignatureFailure(keyExchange._id, error.message);
+        await discardSession(keyExchange._id);
+        setError('Key exchange rejected: invalid signature. Possible MITM attack!');
+        return;
+      }
       setError('Failed to establish session key: ' + (error.message || 'Unknown error'));
     }
   };
 
+  // Exchange key confirmations; sending is only enabled once the peer's
+  // transcript signature and confirmation both verify
+  const confirmSession = async (keyExchange, current) => {
+    const { confirmationKey, isInitiator } = current;
+    const transcript = buildHandshakeTranscript(keyExchange);
+    const myRole = isInitiator ? 'initiator' : 'responder';
+    const peerRole = isInitiator ? 'responder' : 'initiator';
+    let latest = keyExchange;
+
+    if (!latest[`${myRole}Confirmation`]) {
+      setKeyExchangeStatus('confirming');
+      const confirmation = await generateKeyConfirmation(confirmationKey, transcript, myRole);
+      const payload = {
+        keyExchangeId: keyExchange._id,
+        keyConfirmation: confirmation
+      };
+      // Whoever has not signed the transcript yet signs alongside its
+      // confirmation (the initiator, and the responder in prekey mode)
+      if (!keyExchange[`${myRole}Signature`]) {
+        const privateKeyData = await getPrivateKey(user.username);
+        payload.signature = await signHandshake(keyExchange, privateKeyData, myRole);
+      }
+      const response = await axios.post(`${API_URL}/key-exchange/confirm`, payload);
+      latest = response.data.keyExchange;
+    }
+
+    const peerConfirmation = latest[`${peerRole}Confirmation`];
+    if (!peerConfirmation) {
+      // Prekey sessions are already authenticated by the signed prekey, so
+      // the initiator can send before the responder has come online
+      if (latest.mode === 'prekey' && isInitiator) {
+        setKeyExchangeStatus('completed');
+        return;
+      }
+      // Peer has not confirmed yet
+      setKeyExchangeStatus('confirming');
+      return;
+    }
+
+    await verifyHandshakeSignature(latest, peerRole, await getPeerIdentity());
+
+    const isValid = await verifyKeyConfirmation(peerConfirmation, confirmationKey, transcript, peerRole);
+    if (!isValid) {
+      try {
+        await axios.post(`${API_URL}/key-exchange/confirmation-failure`, {
+          keyExchangeId: keyExchange._id,
+          reason: `${peerRole} key confirmation did not verify`
+        });
+      } catch (e) {
+        console.error('Failed to report key confirmation failure:', e);
+      }
+      await discardSession(keyExchange._id);
+      setError('Key confirmation failed: session keys do not match. Possible MITM attack!');
+      return;
+    }
+
+    // Confirmation key is no longer needed once the peer has confirmed
+    current.confirmed = true;
+    current.confirmationKey = null;
+    await storeSession(user.username, userId, current);
+    setKeyExchangeStatus('completed');
+  };
+
+  // Append messages not already shown (live pushes and resyncs may overlap)
+  const addMessages = (incoming) => {
+    setMessages((current) => {
+      const known = new Set(current.map((msg) => msg._id));
+      const fresh = incoming.filter((msg) => !known.has(msg._id));
+      return fresh.length > 0 ? [...current, ...fresh] : current;
+    });
+  };
+
+  // Move the server's read marker up to the newest message shown from the peer
+  const markConversationRead = async () => {
+    const incoming = messagesRef.current.filter((msg) => (msg.senderId._id || msg.senderId) === userId);
+    const newest = incoming[incoming.length - 1];
+    if (!newest || newest.timestamp === lastReadAt.current) {
+      return;
+    }
+
+    lastReadAt.current = newest.timestamp;
+    try {
+      await axios.post(`${API_URL}/messages/conversations/${userId}/read`, { readAt: newest.timestamp });
+    } catch (error) {
+      console.error('Mark conversation read error:', error);
+    }
+  };
+
+  // Whether a peer message decrypted and passed its envelope and signature
+  // checks; failed or tampered messages get no receipt
+  const isAcceptedMessage = (messageId) =>
+    !!session.plaintexts[messageId] &&
+    !session.rejected?.[messageId] &&
+    session.signatures?.[messageId] !== 'invalid';
+
+  // Tell the sender an accepted message was read (or only delivered, when
+  // read receipts are turned off)
+  const acknowledgeMessage = async (message) => {
+    const type = user.readReceipts !== false ? 'read' : 'delivered';
+    if (message.readAt || (type === 'delivered' && message.deliveredAt)) {
+      return;
+    }
+
+    try {
+      if (socket?.connected) {
+        socket.emit('message:receipt', { messageId: message._id, type });
+      } else {
+        await axios.post(`${API_URL}/messages/${message._id}/receipt`, { type });
+      }
+    } catch (error) {
+      console.error('Message receipt error:', error);
+    }
+  };
+
+  // Fetch everything since the newest message we have, e.g. after a reconnect
+  const resyncMessages = async () => {
+    const latest = messagesRef.current[messagesRef.current.length - 1];
+    if (!latest) {
+      await loadMessages();
+      return;
+    }
+
+    try {
+      const limit = 100;
+      let after = latest.timestamp;
+      for (;;) {
+        const response = await axios.get(`${API_URL}/messages/conversation/${userId}`, {
+          params: { after, limit }
+        });
+        addMessages(response.data);
+        if (response.data.length < limit) {
+          break;
+        }
+        after = response.data[response.data.length - 1].timestamp;
+      }
+    } catch (error) {
+      console.error('Resync messages error:', error);
+    }
+  };
+
+  // Encrypt a message with the next key from the sending chain and build its
+  // send request. The send time (corrected to the server clock) is signed
+  // inside the envelope, and the metadata the server sees is bound as
+  // additional data
+  const encryptOutgoing = async (current, plaintext, messageSequence) => {
+    const sentAt = new Date(Date.now() + clockOffset).toISOString();
+    const nonce = generateNonce();
+    const metadata = {
+      protocolVersion: MESSAGE_PROTOCOL_VERSION,
+      senderId: user.id,
+      receiverId: userId,
+      sequenceNumber: messageSequence,
+      nonce,
+      sentAt,
+      messageType: 'text'
+    };
+    const messageHeader = buildMessageHeader(metadata);
+    const envelope = buildMessageEnvelope(plaintext, sentAt, user.signMessages ? generateNonce() : undefined);
+
+    // Signing mode: prove authorship with the identity key
+    let signature = null;
+    if (user.signMessages) {
+      signature = await signMessage(messageHeader, envelope, await getPrivateKey(user.username));
+    }
+
+    const { header, encrypted } = await withRatchet(current, (state) =>
+      ratchetEncrypt(state, envelope, messageHeader)
+    );
+
+    return {
+      receiverId: userId,
+      ciphertext: encrypted.ciphertext,
+      iv: encrypted.iv,
+      authTag: encrypted.authTag,
+      ratchetHeader: header,
+      nonce: nonce,
+      sentAt,
+      sequenceNumber: messageSequence,
+      messageType: 'text',
+      protocolVersion: MESSAGE_PROTOCOL_VERSION,
+      signature,
+      signatureKeyVersion: signature ? user.keyVersion || 1 : undefined
+    };
+  };
+
+  // Replace a queued message with a fresh encryption of its text (new nonce
+  // and send time, same sequence number)
+  const reencryptQueuedMessage = async (entry) => {
+    const restamped = {
+      ...entry,
+      payload: await encryptOutgoing(sessionRef.current, entry.plaintext, entry.payload.sequenceNumber),
+      restamped: true,
+      error: null
+    };
+    await storeOutboxMessage(user.username, userId, restamped);
+    await deleteOutboxMessage(user.username, entry.payload.nonce);
+    setOutbox((current) => current.map((e) => (e.payload.nonce === entry.payload.nonce ? restamped : e)));
+    return restamped;
+  };
+
   const sendMessage = async () => {
-    if (!newMessage.trim() || !sessionKey) {
-      if (!sessionKey) {
+    if (keyChange) {
+      setError('Accept the contact\'s new identity key before sending.');
+      return;
+    }
+
+    if (!newMessage.trim() || !session || keyExchangeStatus !== 'completed') {
+      if (!session || keyExchangeStatus !== 'completed') {
         setError('Key exchange not completed. Please wait...');
       }
       return;
@@ -294,45 +940,190 @@ function Chat() {
       setError('');
       setLoading(true);
 
-      // Encrypt message
-      const encrypted = await encryptMessage(newMessage, sessionKey);
-      const nonce = generateNonce();
+      // Queue the encrypted message before posting it, so a failed request or
+      // a reload does not lose it (the ratchet has already moved on)
       const currentSeq = sequenceNumber;
-
-      // Send to server
-      await axios.post(`${API_URL}/messages/send`, {
-        receiverId: userId,
-        ciphertext: encrypted.ciphertext,
-        iv: encrypted.iv,
-        authTag: encrypted.authTag,
-        nonce: nonce,
-        sequenceNumber: currentSeq,
-        messageType: 'text'
-      });
-
-      // Add to local messages (optimistic update)
-      setMessages([...messages, {
-        senderId: { _id: user.id, username: user.username },
-        receiverId: { _id: userId, username: otherUser?.username },
-        ciphertext: encrypted.ciphertext,
-        iv: encrypted.iv,
-        authTag: encrypted.authTag,
-        plaintext: newMessage, // Store plaintext locally only
-        timestamp: new Date(),
-        sequenceNumber: currentSeq
-      }]);
+      const entry = {
+        payload: await encryptOutgoing(session, newMessage, currentSeq),
+        plaintext: newMessage,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        failed: false,
+        error: null
+      };
+      await storeOutboxMessage(user.username, userId, entry);
+      setOutbox((current) => [...current, entry]);
 
       setNewMessage('');
       setSequenceNumber(currentSeq + 1);
+      await flushOutbox();
     } catch (error) {
       console.error('Send message error:', error);
-      if (error.response?.data?.error?.includes('Replay attack')) {
-        setError('Replay attack detected! Message rejected.');
+      setError('Failed to send message');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Post one queued message. Resolves null once the server has it (a resend
+  // of a message it already stored returns the original ID); otherwise the
+  // updated entry, rescheduled with backoff or marked failed if rejected
+  const deliverQueuedMessage = async (entry) => {
+    let response;
+    try {
+      response = await axios.post(`${API_URL}/messages/send`, entry.payload);
+    } catch (error) {
+      console.error('Send message error:', error);
+
+      // Queued past the server's freshness window: it was never stored, so
+      // encrypt it again and retry once. An entry that expires right after
+      // being re-encrypted points at a clock problem instead
+      if (error.response?.status === 422 && error.response.data?.expired && !entry.restamped) {
+        let restamped = null;
+        try {
+          restamped = await reencryptQueuedMessage(entry);
+        } catch (reencryptError) {
+          console.error('Re-encrypt queued message error:', reencryptError);
+        }
+        if (restamped) {
+          return deliverQueuedMessage(restamped);
+        }
+      }
+
+      const updated = { ...entry, attempts: entry.attempts + 1 };
+
+      if (isRetryableSendError(error)) {
+        updated.nextAttemptAt = Date.now() + getRetryDelay(updated.attempts);
+        updated.error = error.response ? 'Server unavailable' : 'No connection';
+        // It may expire again before the next attempt gets through
+        updated.restamped = false;
+      } else if (error.response.status === 409 && Number.isInteger(error.response.data.expectedSequence)) {
+        // Another tab or device used this number; resync and let the user resend
+        setSequenceNumber((current) => Math.max(current, error.response.data.expectedSequence));
+        updated.failed = true;
+        updated.error = 'Its sequence number was already used. Please send it again.';
       } else {
-        setError('Failed to send message');
+        updated.failed = true;
+        updated.error = error.response.data?.error || 'Failed to send message';
       }
+
+      await storeOutboxMessage(user.username, userId, updated);
+      setOutbox((current) => current.map((e) => (e.payload.nonce === entry.payload.nonce ? updated : e)));
+      return updated;
+    }
+
+    // Our own message key is gone, so keep the plaintext with the session
+    const { messageId, timestamp } = response.data;
+    const current = sessionRef.current;
+    current.plaintexts[messageId] = entry.plaintext;
+    if (entry.payload.signature) {
+      current.signatures = { ...current.signatures, [messageId]: 'valid' };
+    }
+    await storeSession(user.username, userId, current);
+    await deleteOutboxMessage(user.username, entry.payload.nonce);
+    setOutbox((queued) => queued.filter((e) => e.payload.nonce !== entry.payload.nonce));
+
+    // Show it as sent (a resync may already have fetched it)
+    const sent = {
+      ...receipts.current[messageId],
+      _id: messageId,
+      senderId: { _id: user.id, username: user.username },
+      receiverId: { _id: userId, username: otherUser?.username },
+      ciphertext: entry.payload.ciphertext,
+      iv: entry.payload.iv,
+      authTag: entry.payload.authTag,
+      ratchetHeader: entry.payload.ratchetHeader,
+      plaintext: entry.plaintext, // Store plaintext locally only
+      timestamp,
+      sentAt: entry.payload.sentAt,
+      signature: entry.payload.signature,
+      sequenceNumber: entry.payload.sequenceNumber
+    };
+    setMessages((shown) =>
+      shown.some((m) => m._id === messageId)
+        ? shown.map((m) => (m._id === messageId ? { ...m, plaintext: entry.plaintext } : m))
+        : [...shown, sent]
+    );
+    return null;
+  };
+
+  // Send queued messages in sequence order, stopping at the first one that
+  // cannot go yet so the server never sees a later number first. Failed
+  // entries wait for the user. Runs are serialized like key exchange checks
+  const flushOutbox = async (force = false) => {
+    const flush = outboxFlush.current;
+    flush.force = flush.force || force;
+    if (flush.running) {
+      flush.rerun = true;
+      return;
+    }
+
+    flush.running = true;
+    try {
+      do {
+        flush.rerun = false;
+        const forced = flush.force;
+        flush.force = false;
+        await runOutbox(forced);
+      } while (flush.rerun);
     } finally {
-      setLoading(false);
+      flush.running = false;
+    }
+  };
+
+  const runOutbox = async (force) => {
+    clearTimeout(outboxTimer.current);
+    if (!sessionRef.current) {
+      return;
+    }
+
+    const queued = (await listOutboxMessages(user.username, userId)).filter((entry) => !entry.failed);
+    for (const entry of queued) {
+      if (!force && entry.nextAttemptAt > Date.now()) {
+        outboxTimer.current = setTimeout(() => flushOutbox(), entry.nextAttemptAt - Date.now());
+        return;
+      }
+
+      const updated = await deliverQueuedMessage(entry);
+      if (updated && !updated.failed) {
+        outboxTimer.current = setTimeout(() => flushOutbox(), updated.nextAttemptAt - Date.now());
+        return;
+      }
+    }
+  };
+
+  // Drop a queued message; resending puts its text back in the input so it
+  // goes out as a new message
+  const discardQueuedMessage = async (entry, resend) => {
+    try {
+      await deleteOutboxMessage(user.username, entry.payload.nonce);
+      setOutbox((current) => current.filter((e) => e.payload.nonce !== entry.payload.nonce));
+      if (resend) {
+        setNewMessage(entry.plaintext);
+      }
+    } catch (error) {
+      console.error('Discard queued message error:', error);
+    }
+  };
+
+  // Verify a signed message against the sender's key for the signing key
+  // version; the result is kept with the session since the envelope is gone
+  // once decrypted. Left unset (unverified) if the peer's key is in question
+  const checkMessageSignature = async (message, header, envelope) => {
+    try {
+      const sender = await getPeerIdentity();
+      const valid = header !== null && await verifyMessageSignature(header, envelope, message, sender);
+      session.signatures = { ...session.signatures, [message._id]: valid ? 'valid' : 'invalid' };
+      await storeSession(user.username, userId, session);
+
+      if (!valid) {
+        await axios.post(`${API_URL}/messages/decryption-failure`, {
+          messageId: message._id,
+          reason: 'Invalid sender signature'
+        });
+      }
+    } catch (error) {
+      console.error('Message signature check error:', error);
     }
   };
 
@@ -342,20 +1133,57 @@ function Chat() {
       return message.plaintext;
     }
 
-    try {
-      if (!sessionKey) {
-        return '[Decryption key not available]';
-      }
+    if (!session) {
+      return '[Decryption key not available]';
+    }
+    if (session.plaintexts[message._id]) {
+      return session.plaintexts[message._id];
+    }
+    if (message.senderId._id === user.id) {
+      return '[Sent message not available on this device]';
+    }
+    if (!message.ratchetHeader?.publicKey) {
+      return '[Sent before forward secrecy was enabled]';
+    }
 
-      const decrypted = await decryptMessage(
-        {
+    try {
+      // Plaintext is recorded before the step is persisted: its key is spent.
+      // A message whose send time was altered is recorded as rejected
+      let envelopeError = null;
+      let envelope = null;
+      const associatedData = buildMessageHeader({
+        ...message,
+        senderId: message.senderId._id,
+        receiverId: message.receiverId._id
+      });
+      const { plaintext } = await withRatchet(session, async (state) => {
+        const result = await ratchetDecrypt(state, message.ratchetHeader, {
           ciphertext: message.ciphertext,
           iv: message.iv,
           authTag: message.authTag
-        },
-        sessionKey
-      );
-      return decrypted;
+        }, associatedData);
+        let body;
+        try {
+          body = openMessageEnvelope(result.plaintext, message.sentAt);
+          envelope = result.plaintext;
+        } catch (error) {
+          envelopeError = error;
+          body = `[Rejected: ${error.message}]`;
+          session.rejected = { ...session.rejected, [message._id]: true };
+        }
+        session.plaintexts[message._id] = body;
+        return { ...result, plaintext: body };
+      });
+      if (envelopeError) {
+        await axios.post(`${API_URL}/messages/decryption-failure`, {
+          messageId: message._id,
+          reason: envelopeError.message
+        }).catch((e) => console.error('Failed to report envelope failure:', e));
+      }
+      if (envelope && message.signature) {
+        await checkMessageSignature(message, associatedData, envelope);
+      }
+      return plaintext;
     } catch (error) {
       console.error('Decryption error:', error);
       // Report decryption failure
@@ -372,21 +1200,107 @@ function Chat() {
   };
 
   useEffect(() => {
-    // Decrypt messages when session key is available
-    if (sessionKey && messages.length > 0) {
-      const decryptMessages = async () => {
-        const decryptedMessages = await Promise.all(
-          messages.map(async (msg) => {
-            if (msg.plaintext) return msg;
-            const plaintext = await decryptAndDisplayMessage(msg);
-            return { ...msg, plaintext };
-          })
+    // Decrypt new messages once the ratchet session is available; in order,
+    // since every message advances the ratchet
+    if (!session) {
+      return;
+    }
+
+    const pending = messages.filter((msg) => !msg.plaintext && !decrypting.current.has(msg._id));
+    if (pending.length === 0) {
+      return;
+    }
+    pending.forEach((msg) => decrypting.current.add(msg._id));
+
+    const decryptMessages = async () => {
+      for (const msg of pending) {
+        const plaintext = await decryptAndDisplayMessage(msg);
+        decrypting.current.delete(msg._id);
+        if (msg.senderId._id === userId && isAcceptedMessage(msg._id)) {
+          acknowledgeMessage(msg);
+        }
+        setMessages((current) =>
+          current.map((m) => (m._id === msg._id ? { ...m, plaintext } : m))
         );
-        setMessages(decryptedMessages);
-      };
-      decryptMessages();
+      }
+    };
+    decryptMessages();
+  }, [session, messages]);
+
+  useEffect(() => {
+    // Live delivery: the server pushes messages to our user room; after a
+    // reconnect, fetch whatever was sent while we were offline and send
+    // whatever we queued
+    if (!socket || !userId) {
+      return;
+    }
+
+    const onMessage = (message) => {
+      if (message.senderId._id === userId && message.receiverId._id === user.id) {
+        addMessages([message]);
+      }
+    };
+
+    const onReceipt = (receipt) => {
+      receipts.current[receipt.messageId] = receipt;
+      setMessages((current) =>
+        current.map((m) => (m._id === receipt.messageId ? { ...m, ...receipt } : m))
+      );
+    };
+
+    const onReconnect = () => flushOutbox(true);
+
+    socket.on('message:new', onMessage);
+    socket.on('message:receipt', onReceipt);
+    socket.io.on('reconnect', resyncMessages);
+    socket.io.on('reconnect', onReconnect);
+
+    return () => {
+      socket.off('message:new', onMessage);
+      socket.off('message:receipt', onReceipt);
+      socket.io.off('reconnect', resyncMessages);
+      socket.io.off('reconnect', onReconnect);
+    };
+  }, [socket, userId]);
+
+  useEffect(() => {
+    // React to the peer's key exchange steps as they happen; fall back to
+    // polling while an exchange is in flight and the socket is down
+    if (!userId) {
+      return;
+    }
+
+    const events = [
+      'key-exchange:initiated',
+      'key-exchange:accepted',
+      'key-exchange:responded',
+      'key-exchange:confirmed',
+      'key-exchange:declined',
+      'key-exchange:cancelled'
+    ];
+    const onKeyExchange = (event) => {
+      const initiatorId = event.initiatorId.toString();
+      const responderId = event.responderId.toString();
+      if (initiatorId === userId || responderId === userId) {
+        refreshKeyExchange();
+      }
+    };
+    events.forEach((event) => socket?.on(event, onKeyExchange));
+
+    let intervalId = null;
+    if (keyExchangeStatus === 'pending' || keyExchangeStatus === 'confirming') {
+      intervalId = setInterval(() => {
+        if (!socket?.connected) {
+          refreshKeyExchange();
+        }
+      }, 5000);
     }
-  }, [sessionKey]);
+
+    return () => {
+      events.forEach((event) => socket?.off(event, onKeyExchange));
+      clearInterval(intervalId);
+    };
+  }, [socket, userId, keyExchangeStatus, session, otherUser]);
 
   if (!userId) {
     return (
@@ -401,6 +1315,35 @@ function Chat() {
     );
   }
 
+  // A verified flag only covers the key whose safety number was compared
+  const isVerified = !!verification && verification.publicKey === otherUser?.publicKey;
+  const verificationLabel = isVerified ? '✅ Verified' :
+    verification ? '⚠️ Key changed since verification' :
+    'Not verified';
+
+  const markVerified = async () => {
+    try {
+      await storeContactVerification(user.username, otherUser._id, otherUser.publicKey);
+      setVerification(await getContactVerification(user.username, otherUser._id));
+    } catch (error) {
+      console.error('Verify contact error:', error);
+      setError('Failed to save verification');
+    }
+  };
+
+  // Gaps, duplicates and reordering in the peer's sequence numbers
+  const sequenceIssues = analyzeSequence(messages, userId);
+
+  const clearVerified = async () => {
+    try {
+      await deleteContactVerification(user.username, otherUser._id);
+      setVerification(null);
+    } catch (error) {
+      console.error('Clear verification error:', error);
+      setError('Failed to clear verification');
+    }
+  };
+
   return (
     <div className="container">
       <div className="card">
@@ -411,18 +1354,73 @@ function Chat() {
               Status: {
                 keyExchangeStatus === 'completed' ? '🔒 Encrypted' :
                 keyExchangeStatus === 'pending' ? '⏳ Key Exchange Pending' :
+                keyExchangeStatus === 'request' ? '📨 Chat Request' :
+                keyExchangeStatus === 'declined' ? '🚫 Request Declined' :
+                keyExchangeStatus === 'confirming' ? '🔑 Confirming Session Key...' :
                 keyExchangeStatus === 'initiating' ? '🔄 Establishing Secure Connection...' :
                 '❌ Not Secured'
               }
+              {' · '}{verificationLabel}
             </div>
           </div>
-          <button className="btn btn-secondary" onClick={() => navigate('/dashboard')}>
-            Back to Dashboard
-          </button>
+          <div>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowVerify(!showVerify)}
+              disabled={!otherUser?.publicKey}
+              style={{ marginRight: '10px' }}
+            >
+              Verify Contact
+            </button>
+            <button className="btn btn-secondary" onClick={() => navigate('/dashboard')}>
+              Back to Dashboard
+            </button>
+          </div>
         </div>
 
         {error && <div className="error">{error}</div>}
 
+        {keyChange && (
+          <div style={{
+            padding: '12px',
+            background: '#f8d7da',
+            border: '1px solid #f5c2c7',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            fontSize: '14px'
+          }}>
+            <p style={{ marginBottom: '8px' }}>
+              <strong>⚠️ {otherUser?.username}'s identity key has changed.</strong>{' '}
+              {keyChange.rotated
+                ? 'The new key was signed by the previously pinned key (key rotation).'
+                : 'The new key is not linked to the previously pinned key.'}{' '}
+              This can happen after a key rotation or reinstall, but could also mean someone is
+              intercepting your conversation. Compare safety numbers before continuing.
+            </p>
+            <p style={{ marginBottom: '8px', fontFamily: 'monospace', fontSize: '12px', wordBreak: 'break-all' }}>
+              Previous: {keyChange.previousFingerprint}<br />
+              New: {keyChange.fingerprint}
+            </p>
+            <button className="btn btn-secondary" onClick={() => setShowVerify(true)} style={{ marginRight: '10px' }}>
+              Verify Contact
+            </button>
+            <button className="btn btn-primary" onClick={acceptKeyChange}>
+              Accept New Key
+            </button>
+          </div>
+        )}
+
+        {showVerify && otherUser?.publicKey && (
+          <VerifyContact
+            myPublicKey={user.publicKey}
+            otherUser={otherUser}
+            verified={isVerified}
+            onVerify={markVerified}
+            onUnverify={clearVerified}
+            onClose={() => setShowVerify(false)}
+          />
+        )}
+
         {keyExchangeStatus !== 'completed' && (
           <div style={{
             padding: '12px',
@@ -432,7 +1430,50 @@ function Chat() {
             fontSize: '14px'
           }}>
             {keyExchangeStatus === 'initiating' && 'Establishing secure connection...'}
-            {keyExchangeStatus === 'pending' && 'Waiting for key exchange to complete...'}
+            {keyExchangeStatus === 'pending' && (
+              openRequest && !openRequest.acceptedAt ? (
+                <div>
+                  <p>Waiting for {otherUser?.username || 'the other user'} to accept your chat request...</p>
+                  <button className="btn btn-secondary" onClick={cancelRequest}>
+                    Cancel Request
+                  </button>
+                </div>
+              ) : 'Waiting for key exchange to complete...'
+            )}
+            {keyExchangeStatus === 'request' && (
+              <div>
+                <p>{otherUser?.username || 'This user'} wants to start an encrypted chat with you.</p>
+                <button className="btn btn-primary" onClick={acceptRequest} style={{ marginRight: '10px' }}>
+                  Accept
+                </button>
+                <button className="btn btn-secondary" onClick={() => declineRequest(false)} style={{ marginRight: '10px' }}>
+                  Decline
+                </button>
+                <button className="btn btn-danger" onClick={() => declineRequest(true)}>
+                  Block
+                </button>
+              </div>
+            )}
+            {keyExchangeStatus === 'declined' && (
+              <div>
+                <p>
+                  {openRequest && (openRequest.initiatorId._id || openRequest.initiatorId) === user.id
+                    ? `${otherUser?.username || 'The other user'} declined your chat request.`
+                    : 'You declined this chat request.'}
+                </p>
+                <button className="btn btn-primary" onClick={startKeyExchange}>
+                  Send New Request
+                </button>
+              </div>
+            )}
+            {keyExchangeStatus === 'confirming' && (
+              <div>
+                <p>Waiting for {otherUser?.username || 'the other user'} to confirm the session key...</p>
+                <button className="btn btn-secondary" onClick={refreshKeyExchange}>
+                  Check Again
+                </button>
+              </div>
+            )}
             {keyExchangeStatus === 'idle' && (
               <div>
                 <p>No secure session established. Click to start key exchange:</p>
@@ -453,13 +1494,16 @@ function Chat() {
           marginBottom: '20px',
           background: '#f9f9f9'
         }}>
-          {messages.length === 0 ? (
+          {messages.length === 0 && outbox.length === 0 ? (
             <p style={{ color: '#666', textAlign: 'center', marginTop: '50%' }}>
               No messages yet. Start the conversation!
             </p>
           ) : (
             messages.map((msg, idx) => {
               const isMine = msg.senderId._id === user.id;
+              const sequenceIssue = sequenceIssues.get(msg._id);
+              // Own signatures need no check; the peer's are verified on decrypt
+              const signatureStatus = msg.signature && (isMine ? 'valid' : session?.signatures?.[msg._id]);
               return (
                 <div
                   key={idx}
@@ -483,12 +1527,86 @@ function Chat() {
                     <div>{msg.plaintext || '[Decrypting...]'}</div>
                     <div style={{ fontSize: '10px', opacity: 0.7, marginTop: '4px' }}>
                       {new Date(msg.timestamp).toLocaleTimeString()}
+                      {msg.signature && signatureStatus !== 'invalid' && (
+                        <span
+                          title={signatureStatus === 'valid'
+                            ? 'Signed with the sender\'s identity key'
+                            : 'Signed, but the signature has not been verified yet'}
+                          style={{ marginLeft: '6px' }}
+                        >
+                          ✍ {signatureStatus === 'valid' ? 'signed' : 'signed (unverified)'}
+                        </span>
+                      )}
+                      {isMine && (
+                        <span
+                          title={msg.readAt ? 'Read' : msg.deliveredAt ? 'Delivered' : 'Sent'}
+                          style={{ marginLeft: '6px', fontWeight: msg.readAt ? 'bold' : 'normal', color: msg.readAt ? '#a5f3fc' : 'inherit' }}
+                        >
+                          {msg.deliveredAt || msg.readAt ? '✓✓' : '✓'}
+                        </span>
+                      )}
                     </div>
+                    {signatureStatus === 'invalid' && (
+                      <div style={{ fontSize: '11px', color: '#842029', marginTop: '6px' }}>
+                        ⚠️ Invalid sender signature: this message may be forged
+                      </div>
+                    )}
+                    {sequenceIssue && (
+                      <div style={{ fontSize: '11px', color: '#842029', marginTop: '6px' }}>
+                        ⚠️ {describeSequenceIssue(sequenceIssue)}
+                      </div>
+                    )}
                   </div>
                 </div>
               );
             })
           )}
+          {outbox.map((entry) => (
+            <div
+              key={entry.payload.nonce}
+              style={{ marginBottom: '12px', display: 'flex', justifyContent: 'flex-end' }}
+            >
+              <div style={{
+                maxWidth: '70%',
+                padding: '12px',
+                borderRadius: '12px',
+                background: '#667eea',
+                color: 'white',
+                opacity: entry.failed ? 1 : 0.7
+              }}>
+                <div style={{ fontSize: '12px', opacity: 0.8, marginBottom: '4px' }}>You</div>
+                <div>{entry.plaintext}</div>
+                <div style={{ fontSize: '10px', opacity: 0.7, marginTop: '4px' }}>
+                  {entry.failed
+                    ? 'Not sent'
+                    : entry.attempts > 0
+                      ? `⏳ Queued (${entry.error}), retrying…`
+                      : '⏳ Sending…'}
+                </div>
+                {entry.failed && (
+                  <div style={{ fontSize: '11px', background: '#f8d7da', color: '#842029', borderRadius: '6px', padding: '6px', marginTop: '6px' }}>
+                    ⚠️ {entry.error}
+                    <div style={{ marginTop: '6px' }}>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => discardQueuedMessage(entry, true)}
+                        style={{ padding: '4px 10px', fontSize: '11px', marginRight: '6px' }}
+                      >
+                        Edit & Resend
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => discardQueuedMessage(entry, false)}
+                        style={{ padding: '4px 10px', fontSize: '11px' }}
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
           <div ref={messagesEndRef} />
         </div>
 
@@ -498,14 +1616,14 @@ function Chat() {
             value={newMessage}
             onChange={(e) => setNewMessage(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && !e.shiftKey && sendMessage()}
-            placeholder={sessionKey ? "Type a message..." : "Establishing secure connection..."}
-            disabled={!sessionKey || loading}
+            placeholder={keyExchangeStatus === 'completed' ? "Type a message..." : "Establishing secure connection..."}
+            disabled={keyExchangeStatus !== 'completed' || !!keyChange || loading}
             style={{ flex: 1, padding: '12px', border: '2px solid #e0e0e0', borderRadius: '8px' }}
           />
           <button
             className="btn btn-primary"
             onClick={sendMessage}
-            disabled={!sessionKey || loading || !newMessage.trim()}
+            disabled={keyExchangeStatus !== 'completed' || !!keyChange || loading || !newMessage.trim()}
           >
             {loading ? 'Sending...' : 'Send'}
           </button>
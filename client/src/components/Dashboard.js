@@ -2,17 +2,25 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
+import { getPrivateKey, getPreKey, storePreKeys } from '../utils/keyStorage';
+import {
+  generateSignedPreKey,
+  generateOneTimePreKeys,
+  ONE_TIME_PREKEY_MIN
+} from '../utils/keyExchange';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 // Dashboard component for user interactions
 // --- IGNORE ---
 function Dashboard() {
-  const { user, logout } = useAuth();
+  const { user, logout, socket } = useAuth();
   const navigate = useNavigate();
   const [users, setUsers] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(false);
   const [incomingRequests, setIncomingRequests] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [conversations, setConversations] = useState([]);
 
   useEffect(() => {
     if (searchQuery.length >= 2) {
@@ -22,7 +30,9 @@ function Dashboard() {
     }
   }, [searchQuery]);
 
-  // Poll for incoming chat/key-exchange requests where current user is responder
+  // Incoming chat/key-exchange requests where current user is responder.
+  // Refreshed when the server pushes a key exchange event; polled only while
+  // the socket is disconnected
   useEffect(() => {
     if (!user) return;
 
@@ -33,7 +43,9 @@ function Dashboard() {
 
         const pendingForMe = response.data.filter((ex) => {
           const responderId = ex.responderId._id || ex.responderId;
-          return responderId === currentUserId && ex.status === 'pending';
+          // Prekey exchanges start out completed but still await our confirmation
+          const awaitingPreKeyResponse = ex.mode === 'prekey' && !ex.responderConfirmation;
+          return responderId === currentUserId && (ex.status === 'pending' || awaitingPreKeyResponse);
         });
 
         setIncomingRequests(pendingForMe);
@@ -44,12 +56,139 @@ function Dashboard() {
 
     // Initial fetch
     fetchIncoming();
-    // Poll every 5 seconds
-    const intervalId = setInterval(fetchIncoming, 5000);
 
-    return () => clearInterval(intervalId);
+    const events = ['key-exchange:initiated', 'key-exchange:confirmed', 'key-exchange:cancelled', 'connect'];
+    events.forEach((event) => socket?.on(event, fetchIncoming));
+
+    // Fallback: poll every 5 seconds while the socket is down
+    const intervalId = setInterval(() => {
+      if (!socket?.connected) {
+        fetchIncoming();
+      }
+    }, 5000);
+
+    return () => {
+      clearInterval(intervalId);
+      events.forEach((event) => socket?.off(event, fetchIncoming));
+    };
+  }, [user, socket]);
+
+  // Conversation inbox; refreshed on new messages and when a conversation is
+  // read in another session, polled only while the socket is disconnected
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchConversations = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/messages/conversations`);
+        setConversations(response.data);
+      } catch (error) {
+        console.error('Fetch conversations error:', error);
+      }
+    };
+
+    fetchConversations();
+
+    const events = ['message:new', 'conversation:read', 'connect'];
+    events.forEach((event) => socket?.on(event, fetchConversations));
+
+    const intervalId = setInterval(() => {
+      if (!socket?.connected) {
+        fetchConversations();
+      }
+    }, 5000);
+
+    return () => {
+      clearInterval(intervalId);
+      events.forEach((event) => socket?.off(event, fetchConversations));
+    };
+  }, [user, socket]);
+
+  // Contact list; accepting a request (on either side) can change it
+  useEffect(() => {
+    if (!user) return;
+
+    const events = ['key-exchange:accepted', 'connect'];
+    events.forEach((event) => socket?.on(event, fetchContacts));
+    fetchContacts();
+
+    return () => {
+      events.forEach((event) => socket?.off(event, fetchContacts));
+    };
+  }, [user, socket]);
+
+  // Keep a signed prekey and enough one-time prekeys published so others
+  // can start a key exchange while we're offline
+  useEffect(() => {
+    if (!user) return;
+
+    const publicPart = ({ keyId, publicKey }) => ({ keyId, publicKey });
+
+    const syncPreKeys = async () => {
+      try {
+        let status = null;
+        try {
+          const response = await axios.get(`${API_URL}/prekeys/status`);
+          status = response.data;
+        } catch (error) {
+          if (error.response?.status !== 404) throw error;
+        }
+
+        const localSignedPreKey = status && await getPreKey(user.username, 'signed', status.signedPreKeyId);
+
+        if (!localSignedPreKey) {
+          // No bundle yet, or it was published from another device
+          const privateKeyData = await getPrivateKey(user.username);
+          if (!privateKeyData || !privateKeyData.privateKey) return;
+
+          const signedPreKey = await generateSignedPreKey(user.id || user._id, privateKeyData);
+          const oneTimePreKeys = await generateOneTimePreKeys();
+          await storePreKeys(user.username, 'signed', [signedPreKey]);
+          await storePreKeys(user.username, 'one-time', oneTimePreKeys);
+
+          await axios.post(`${API_URL}/prekeys/upload`, {
+            signedPreKey: { ...publicPart(signedPreKey), signature: signedPreKey.signature },
+            oneTimePreKeys: oneTimePreKeys.map(publicPart)
+          });
+        } else if (status.oneTimePreKeyCount < ONE_TIME_PREKEY_MIN) {
+          const oneTimePreKeys = await generateOneTimePreKeys();
+          await storePreKeys(user.username, 'one-time', oneTimePreKeys);
+
+          await axios.post(`${API_URL}/prekeys/replenish`, {
+            oneTimePreKeys: oneTimePreKeys.map(publicPart)
+          });
+        }
+      } catch (error) {
+        console.error('Prekey sync error:', error);
+      }
+    };
+
+    syncPreKeys();
   }, [user]);
 
+  const fetchContacts = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/contacts`);
+      setContacts(response.data);
+    } catch (error) {
+      console.error('Fetch contacts error:', error);
+    }
+  };
+
+  const updateContact = async (contactId, action) => {
+    try {
+      if (action === 'remove') {
+        await axios.delete(`${API_URL}/contacts/${contactId}`);
+      } else {
+        await axios.post(`${API_URL}/contacts/${contactId}${action === 'add' ? '' : `/${action}`}`);
+      }
+      await fetchContacts();
+    } catch (error) {
+      console.error('Update contact error:', error);
+      alert('Failed to update contact: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   const searchUsers = async () => {
     try {
       setLoading(true);
@@ -81,6 +220,29 @@ function Dashboard() {
     navigate(`/chat/${userId}`);
   };
 
+  const acceptRequest = async (req) => {
+    try {
+      await axios.post(`${API_URL}/key-exchange/accept`, { keyExchangeId: req._id });
+      startChat(req.initiatorId?._id || req.initiatorId);
+    } catch (error) {
+      console.error('Accept request error:', error);
+      alert('Failed to accept chat request: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const declineRequest = async (req, block) => {
+    try {
+      await axios.post(`${API_URL}/key-exchange/decline`, { keyExchangeId: req._id, block });
+      setIncomingRequests((current) => current.filter((r) => r._id !== req._id));
+      if (block) {
+        await fetchContacts();
+      }
+    } catch (error) {
+      console.error('Decline request error:', error);
+      alert('Failed to decline chat request: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   return (
     <div className="container">
       <div className="card">
@@ -106,14 +268,71 @@ function Dashboard() {
             >
               Audit Logs
             </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => navigate('/settings')}
+              style={{ marginRight: '10px' }}
+            >
+              Settings
+            </button>
             <button className="btn btn-danger" onClick={handleLogout}>
               Logout
             </button>
           </div>
         </div>
 
+        <h3>Conversations</h3>
+        {conversations.length === 0 ? (
+          <p style={{ color: '#666', marginTop: '8px', marginBottom: '20px' }}>
+            No conversations yet. Search for a user below to start one.
+          </p>
+        ) : (
+          <div style={{ marginTop: '12px', marginBottom: '20px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {conversations.map((c) => (
+              <div
+                key={c.peer._id}
+                onClick={() => startChat(c.peer._id)}
+                style={{
+                  padding: '12px',
+                  border: '1px solid #e0e0e0',
+                  borderRadius: '8px',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  cursor: 'pointer',
+                  background: c.unreadCount > 0 ? '#f3f4fd' : 'white'
+                }}
+              >
+                <div>
+                  <strong>{c.peer.username}</strong>
+                  <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                    {c.lastMessageFromMe ? 'You sent ' : 'Received '}
+                    {c.lastMessageType === 'file' ? 'a file' : 'a message'}
+                    {' · '}
+                    {new Date(c.lastMessageAt).toLocaleString()}
+                  </div>
+                </div>
+                {c.unreadCount > 0 && (
+                  <span
+                    style={{
+                      background: '#667eea',
+                      color: 'white',
+                      borderRadius: '12px',
+                      padding: '2px 10px',
+                      fontSize: '12px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    {c.unreadCount}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="input-group">
-          <label>Search Users to Start Chat</label>
+          <label>Search Users to Start a New Chat</label>
           <input
             type="text"
             placeholder="Type username to search..."
@@ -146,12 +365,23 @@ function Dashboard() {
                       {u.keyAlgorithm} ({u.keySize || 'N/A'} bits)
                     </div>
                   </div>
-                  <button
-                    className="btn btn-primary"
-                    onClick={() => startChat(u._id)}
-                  >
-                    Start Chat
-                  </button>
+                  <div>
+                    {!contacts.some((c) => c.contactId._id === u._id) && (
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => updateContact(u._id, 'add')}
+                        style={{ marginRight: '10px' }}
+                      >
+                        Add Contact
+                      </button>
+                    )}
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => startChat(u._id)}
+                    >
+                      Start Chat
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
@@ -165,7 +395,7 @@ function Dashboard() {
 
       {incomingRequests.length > 0 && (
         <div className="card">
-          <h2>Incoming Chat Requests</h2>
+          <h2>Message Requests</h2>
           <div style={{ marginTop: '16px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
             {incomingRequests.map((req) => (
               <div
@@ -182,15 +412,80 @@ function Dashboard() {
                 <div>
                   <strong>{req.initiatorId?.username || 'Unknown user'}</strong>
                   <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
-                    Chat request pending
+                    {req.acceptedAt ? 'Accepted, waiting to finish key exchange' : 'Wants to start an encrypted chat'}
                   </div>
                 </div>
-                <button
-                  className="btn btn-primary"
-                  onClick={() => navigate(`/chat/${req.initiatorId?._id || req.initiatorId}`)}
-                >
-                  Accept
-                </button>
+                {req.acceptedAt ? (
+                  <button className="btn btn-primary" onClick={() => startChat(req.initiatorId?._id || req.initiatorId)}>
+                    Open Chat
+                  </button>
+                ) : (
+                  <div>
+                    <button className="btn btn-primary" onClick={() => acceptRequest(req)} style={{ marginRight: '10px' }}>
+                      Accept
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => declineRequest(req, false)} style={{ marginRight: '10px' }}>
+                      Decline
+                    </button>
+                    <button className="btn btn-danger" onClick={() => declineRequest(req, true)}>
+                      Block
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {contacts.length > 0 && (
+        <div className="card">
+          <h2>Contacts</h2>
+          <div style={{ marginTop: '16px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {contacts.map((c) => (
+              <div
+                key={c._id}
+                style={{
+                  padding: '12px',
+                  border: '1px solid #e0e0e0',
+                  borderRadius: '8px',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  opacity: c.status === 'blocked' ? 0.6 : 1
+                }}
+              >
+                <div>
+                  <strong>{c.contactId.username}</strong>
+                  <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                    {c.status === 'accepted' ? 'Contact' : c.status === 'pending' ? 'Request sent' : 'Blocked'}
+                  </div>
+                </div>
+                {c.status === 'blocked' ? (
+                  <button className="btn btn-secondary" onClick={() => updateContact(c.contactId._id, 'unblock')}>
+                    Unblock
+                  </button>
+                ) : (
+                  <div>
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => startChat(c.contactId._id)}
+                      style={{ marginRight: '10px' }}
+                    >
+                      Chat
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => updateContact(c.contactId._id, 'remove')}
+                      style={{ marginRight: '10px' }}
+                    >
+                      Remove
+                    </button>
+                    <button className="btn btn-danger" onClick={() => updateContact(c.contactId._id, 'block')}>
+                      Block
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -8,6 +8,7 @@ import {
   generateNonce
 } from '../utils/crypto';
 import { getPrivateKey } from '../utils/keyStorage';
+import { buildFileChunkHeader, FILE_PROTOCOL_VERSION } from '../utils/messageEnvelope';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 const CHUNK_SIZE = 64 * 1024; // 64KB chunks
@@ -43,7 +44,9 @@ function Files() {
     }
   };
 
-  const encryptFile = async (file, sessionKey) => {
+  // metadata is the file's canonical header fields; each chunk also binds
+  // its index and the chunk count, so chunks cannot be dropped or reordered
+  const encryptFile = async (file, sessionKey, metadata) => {
     const chunks = [];
     const fileReader = new FileReader();
 
@@ -60,7 +63,11 @@ function Files() {
 
             // Convert chunk to string for encryption
             const chunkString = new TextDecoder().decode(chunk);
-            const encrypted = await encryptMessage(chunkString, sessionKey);
+            const encrypted = await encryptMessage(
+              chunkString,
+              sessionKey,
+              buildFileChunkHeader(metadata, i, totalChunks)
+            );
 
             chunks.push({
               ciphertext: encrypted.ciphertext,
@@ -97,15 +104,25 @@ function Files() {
       const { generateAESKey } = require('../utils/crypto');
       const sessionKey = await generateAESKey();
 
-      // Encrypt file
-      const encryptedChunks = await encryptFile(selectedFile, sessionKey);
+      // Encrypt file (the MIME type fallback matches the server's)
+      const metadata = {
+        protocolVersion: FILE_PROTOCOL_VERSION,
+        senderId: user.id,
+        receiverId,
+        nonce: generateNonce(),
+        filename: selectedFile.name,
+        mimeType: selectedFile.type || 'application/octet-stream'
+      };
+      const encryptedChunks = await encryptFile(selectedFile, sessionKey, metadata);
 
       // Upload to server
       const formData = new FormData();
       formData.append('receiverId', receiverId);
-      formData.append('filename', selectedFile.name);
-      formData.append('mimeType', selectedFile.type);
+      formData.append('filename', metadata.filename);
+      formData.append('mimeType', metadata.mimeType);
       formData.append('originalSize', selectedFile.size);
+      formData.append('protocolVersion', metadata.protocolVersion);
+      formData.append('nonce', metadata.nonce);
       formData.append('chunks', JSON.stringify(encryptedChunks));
 
       await axios.post(`${API_URL}/files/upload`, formData, {
@@ -133,16 +150,17 @@ function Files() {
       // Sort chunks by index
       const sortedChunks = [...fileData.chunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
 
-      // Decrypt each chunk
+      // Decrypt each chunk; its header uses the position it ended up in
       const decryptedChunks = await Promise.all(
-        sortedChunks.map(chunk =>
+        sortedChunks.map((chunk, index) =>
           decryptMessage(
             {
               ciphertext: chunk.ciphertext,
               iv: chunk.iv,
               authTag: chunk.authTag
             },
-            sessionKey
+            sessionKey,
+            buildFileChunkHeader(fileData, index, sortedChunks.length)
           )
         )
       );
@@ -1,11 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { initKeyStore, hasPrivateKey } from '../utils/keyStorage';
+import axios from 'axios';
+import { initKeyStore, hasPrivateKey, storePrivateKey } from '../utils/keyStorage';
+import { parseKeyBackup, restoreKeyBackup } from '../utils/keyBackup';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 function Login() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [needsRestore, setNeedsRestore] = useState(false);
+  const [backupFile, setBackupFile] = useState(null);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const { login } = useAuth();
@@ -16,6 +23,21 @@ function Login() {
     initKeyStore().catch(console.error);
   }, []);
 
+  // Restore the identity key from a backup file; the key passphrase entered
+  // above is the backup passphrase and keeps protecting the key on this device
+  const restoreFromBackup = async () => {
+    const backup = parseKeyBackup(await backupFile.text());
+    if (backup.username !== username) {
+      throw new Error('Backup belongs to a different account');
+    }
+
+    // Registered public key is the reference for the backup's fingerprint
+    const response = await axios.get(`${API_URL}/auth/user/${backup.userId}`);
+    const restored = await restoreKeyBackup(backup, passphrase, response.data);
+
+    await storePrivateKey(username, restored.privateKey, restored.keyAlgorithm, restored.keySize, passphrase);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -25,19 +47,23 @@ function Login() {
       // Check if private key exists locally
       const hasKey = await hasPrivateKey(username);
       if (!hasKey) {
-        setError('No private key found. Please register first or restore your keys.');
-        setLoading(false);
-        return;
+        if (!backupFile) {
+          setNeedsRestore(true);
+          setError('No private key found on this device. Restore it from a key backup or register first.');
+          setLoading(false);
+          return;
+        }
+        await restoreFromBackup();
       }
 
-      const result = await login(username, password);
+      const result = await login(username, password, passphrase);
       if (result.success) {
         navigate('/dashboard');
       } else {
         setError(result.error);
       }
     } catch (err) {
-      setError('Login failed. Please try again.');
+      setError(needsRestore ? 'Key restore failed: ' + (err.message || 'Unknown error') : 'Login failed. Please try again.');
       console.error('Login error:', err);
     } finally {
       setLoading(false);
@@ -82,6 +108,30 @@ function Login() {
             />
           </div>
 
+          <div className="input-group">
+            <label>Key Passphrase</label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              required
+            />
+          </div>
+
+          {needsRestore && (
+            <div className="input-group">
+              <label>Key Backup File</label>
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={(e) => setBackupFile(e.target.files[0] || null)}
+              />
+              <p style={{ marginTop: '8px', fontSize: '14px', color: '#666' }}>
+                Enter the backup passphrase as your key passphrase.
+              </p>
+            </div>
+          )}
+
           {error && <div className="error">{error}</div>}
 
           <button
@@ -90,7 +140,7 @@ function Login() {
             style={{ width: '100%', marginTop: '10px' }}
             disabled={loading}
           >
-            {loading ? 'Logging in...' : 'Login'}
+            {loading ? 'Unlocking keys...' : 'Login'}
           </button>
         </form>
 
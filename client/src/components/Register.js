@@ -1,13 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { generateRSAKeyPair, generateECCKeyPair } from '../utils/crypto';
+import { generateRSAKeyPair, generateECDSAKeyPair } from '../utils/crypto';
 import { initKeyStore, storePrivateKey } from '../utils/keyStorage';
 
 function Register() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [passphrase, setPassphrase] = useState('');
   const [keyAlgorithm, setKeyAlgorithm] = useState('RSA');
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -35,6 +36,11 @@ function Register() {
       return;
     }
 
+    if (passphrase.length < 8) {
+      setError('Key passphrase must be at least 8 characters');
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -47,12 +53,13 @@ function Register() {
         keyPair = await generateRSAKeyPair();
         keySize = 2048;
       } else {
-        keyPair = await generateECCKeyPair();
+        // ECC identity keys sign key exchanges, so they are ECDSA keys
+        keyPair = await generateECDSAKeyPair();
         keySize = 256;
       }
 
-      // Store private key locally (NEVER sent to server)
-      await storePrivateKey(username, keyPair.privateKey, keyAlgorithm, keySize);
+      // Store private key locally, wrapped with the passphrase (NEVER sent to server)
+      await storePrivateKey(username, keyPair.privateKey, keyAlgorithm, keySize, passphrase);
       setSuccess('Keys generated and stored securely. Registering...');
 
       // Register with server (only public key sent)
@@ -137,6 +144,17 @@ function Register() {
             />
           </div>
 
+          <div className="input-group">
+            <label>Key Passphrase</label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              required
+              minLength={8}
+            />
+          </div>
+
           <div className="input-group">
             <label>Key Algorithm</label>
             <select
@@ -151,7 +169,7 @@ function Register() {
               }}
             >
               <option value="RSA">RSA (2048 bits)</option>
-              <option value="ECC">ECC (P-256)</option>
+              <option value="ECC">ECC (ECDSA P-256)</option>
             </select>
           </div>
 
@@ -184,7 +202,8 @@ function Register() {
           color: '#666'
         }}>
           <strong>Security Note:</strong> Your private key is generated and stored only on this device. 
-          It is never sent to the server.
+          It is never sent to the server. It is encrypted with your key passphrase, which is
+          needed at every login and cannot be recovered.
         </div>
       </div>
     </div>
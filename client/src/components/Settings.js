@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { getPrivateKey, unlockPrivateKey, storePrivateKey } from '../utils/keyStorage';
+import { createKeyBackup, computeKeyFingerprint } from '../utils/keyBackup';
+import { generateRSAKeyPair, generateECDSAKeyPair } from '../utils/crypto';
+import { createKeyRotation } from '../utils/keyRotation';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+function Settings() {
+  const { user, setUser } = useAuth();
+  const navigate = useNavigate();
+  const [fingerprint, setFingerprint] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [rotationPassphrase, setRotationPassphrase] = useState('');
+  const [suspectedCompromise, setSuspectedCompromise] = useState(false);
+  const [rotationError, setRotationError] = useState('');
+  const [rotationSuccess, setRotationSuccess] = useState('');
+  const [rotating, setRotating] = useState(false);
+  const [privacyError, setPrivacyError] = useState('');
+  const [savingPrivacy, setSavingPrivacy] = useState(false);
+
+  useEffect(() => {
+    if (user?.publicKey) {
+      computeKeyFingerprint(user.publicKey).then(setFingerprint).catch(console.error);
+    }
+  }, [user]);
+
+  const exportBackup = async () => {
+    setError('');
+    setSuccess('');
+
+    if (passphrase !== confirmPassphrase) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    if (passphrase.length < 8) {
+      setError('Backup passphrase must be at least 8 characters');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const privateKeyData = await getPrivateKey(user.username);
+
+      const backup = await createKeyBackup(
+        {
+          userId: user.id,
+          username: user.username,
+          publicKey: user.publicKey,
+          privateKey: privateKeyData.privateKey,
+          keyAlgorithm: privateKeyData.keyAlgorithm,
+          keySize: privateKeyData.keySize
+        },
+        passphrase
+      );
+
+      // Download backup file
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${user.username}-key-backup.json`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+
+      setPassphrase('');
+      setConfirmPassphrase('');
+      setSuccess('Key backup downloaded. Keep it and its passphrase somewhere safe.');
+    } catch (error) {
+      console.error('Key backup error:', error);
+      setError('Failed to create key backup: ' + (error.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rotateKey = async () => {
+    setRotationError('');
+    setRotationSuccess('');
+
+    try {
+      setRotating(true);
+
+      // The new key is stored under the same passphrase, so check it first
+      await unlockPrivateKey(user.username, rotationPassphrase);
+      const current = await getPrivateKey(user.username);
+
+      const response = await axios.get(`${API_URL}/auth/user/${user.id}`);
+      const { keyVersion, publicKey } = response.data;
+
+      let keyPair;
+      let keySize;
+      if (current.keyAlgorithm === 'ECC') {
+        keyPair = await generateECDSAKeyPair();
+        keySize = 256;
+      } else {
+        keyPair = await generateRSAKeyPair();
+        keySize = 2048;
+      }
+
+      const rotation = await createKeyRotation(
+        {
+          userId: user.id,
+          keyVersion,
+          publicKey,
+          privateKey: current.privateKey,
+          keyAlgorithm: current.keyAlgorithm
+        },
+        {
+          publicKey: keyPair.publicKey,
+          privateKey: keyPair.privateKey,
+          keyAlgorithm: current.keyAlgorithm,
+          keySize
+        },
+        suspectedCompromise ? 'compromise' : 'routine'
+      );
+
+      const result = await axios.post(`${API_URL}/auth/keys/rotate`, rotation);
+
+      await storePrivateKey(user.username, keyPair.privateKey, current.keyAlgorithm, keySize, rotationPassphrase);
+      setUser({ ...user, publicKey: result.data.user.publicKey, keyVersion: result.data.user.keyVersion });
+
+      setRotationPassphrase('');
+      setSuspectedCompromise(false);
+      setRotationSuccess(
+        `Identity key rotated to version ${result.data.user.keyVersion}. ` +
+        'Export a new key backup; older backups restore the retired key.'
+      );
+    } catch (error) {
+      console.error('Key rotation error:', error);
+      setRotationError('Failed to rotate key: ' + (error.response?.data?.error || error.message || 'Unknown error'));
+    } finally {
+      setRotating(false);
+    }
+  };
+
+  const updateSetting = async (name, value) => {
+    setPrivacyError('');
+
+    try {
+      setSavingPrivacy(true);
+      const response = await axios.put(`${API_URL}/auth/settings`, { [name]: value });
+      setUser({ ...user, [name]: response.data[name] });
+    } catch (error) {
+      console.error('Update settings error:', error);
+      setPrivacyError('Failed to update settings: ' + (error.response?.data?.error || error.message || 'Unknown error'));
+    } finally {
+      setSavingPrivacy(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="card">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2>Settings</h2>
+          <button className="btn btn-secondary" onClick={() => navigate('/dashboard')}>
+            Back to Dashboard
+          </button>
+        </div>
+
+        <h3>Identity Key</h3>
+        <div style={{ marginTop: '12px', marginBottom: '20px' }}>
+          <p><strong>Username:</strong> {user?.username}</p>
+          <p style={{ wordBreak: 'break-all' }}>
+            <strong>Public Key Fingerprint (SHA-256):</strong> {fingerprint || 'N/A'}
+          </p>
+        </div>
+      </div>
+
+      <div className="card">
+        <h3>Privacy</h3>
+        <p style={{ marginTop: '8px', marginBottom: '16px', color: '#666', fontSize: '14px' }}>
+          When read receipts are off, senders only see that their messages were delivered.
+          Signed messages prove to anyone holding them that you wrote them; leave signing
+          off to keep your messages deniable.
+        </p>
+
+        {privacyError && <div className="error">{privacyError}</div>}
+
+        <label style={{ display: 'block', fontSize: '14px' }}>
+          <input
+            type="checkbox"
+            checked={user?.readReceipts !== false}
+            onChange={(e) => updateSetting('readReceipts', e.target.checked)}
+            disabled={savingPrivacy}
+            style={{ marginRight: '8px' }}
+          />
+          Send read receipts
+        </label>
+
+        <label style={{ display: 'block', fontSize: '14px', marginTop: '8px' }}>
+          <input
+            type="checkbox"
+            checked={!!user?.signMessages}
+            onChange={(e) => updateSetting('signMessages', e.target.checked)}
+            disabled={savingPrivacy}
+            style={{ marginRight: '8px' }}
+          />
+          Sign my messages with my identity key
+        </label>
+      </div>
+
+      <div className="card">
+        <h3>Export Key Backup</h3>
+        <p style={{ marginTop: '8px', marginBottom: '16px', color: '#666', fontSize: '14px' }}>
+          Download your private key encrypted with a backup passphrase. Use it to log in
+          from another browser or device.
+        </p>
+
+        {error && <div className="error">{error}</div>}
+        {success && <div className="success">{success}</div>}
+
+        <div className="input-group">
+          <label>Backup Passphrase</label>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            minLength={8}
+          />
+        </div>
+
+        <div className="input-group">
+          <label>Confirm Backup Passphrase</label>
+          <input
+            type="password"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+          />
+        </div>
+
+        <button
+          className="btn btn-primary"
+          onClick={exportBackup}
+          disabled={loading || !passphrase}
+        >
+          {loading ? 'Encrypting...' : 'Download Encrypted Backup'}
+        </button>
+      </div>
+
+      <div className="card">
+        <h3>Rotate Identity Key</h3>
+        <p style={{ marginTop: '8px', marginBottom: '16px', color: '#666', fontSize: '14px' }}>
+          Replace your identity key with a new one. The current key signs the new key so
+          contacts can verify the change.
+        </p>
+
+        {rotationError && <div className="error">{rotationError}</div>}
+        {rotationSuccess && <div className="success">{rotationSuccess}</div>}
+
+        <div className="input-group">
+          <label>Key Passphrase</label>
+          <input
+            type="password"
+            value={rotationPassphrase}
+            onChange={(e) => setRotationPassphrase(e.target.value)}
+          />
+        </div>
+
+        <label style={{ display: 'block', marginBottom: '16px', fontSize: '14px' }}>
+          <input
+            type="checkbox"
+            checked={suspectedCompromise}
+            onChange={(e) => setSuspectedCompromise(e.target.checked)}
+            style={{ marginRight: '8px' }}
+          />
+          I suspect my current key has been compromised
+        </label>
+
+        <button
+          className="btn btn-primary"
+          onClick={rotateKey}
+          disabled={rotating || !rotationPassphrase}
+        >
+          {rotating ? 'Rotating...' : 'Rotate Key'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import {
+  computeSafetyNumber,
+  formatSafetyNumber,
+  buildSafetyNumberPayload
+} from '../utils/safetyNumber';
+
+// Safety number comparison for a contact, shown inside Chat
+function VerifyContact({ myPublicKey, otherUser, verified, onVerify, onUnverify, onClose }) {
+  const [safetyNumber, setSafetyNumber] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!myPublicKey || !otherUser?.publicKey) {
+      return;
+    }
+    computeSafetyNumber(myPublicKey, otherUser.publicKey)
+      .then(setSafetyNumber)
+      .catch((err) => {
+        console.error('Safety number error:', err);
+        setError('Failed to compute safety number');
+      });
+  }, [myPublicKey, otherUser]);
+
+  return (
+    <div style={{
+      padding: '16px',
+      border: '1px solid #e0e0e0',
+      borderRadius: '8px',
+      marginBottom: '20px',
+      background: '#fafafa'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3>Verify {otherUser?.username}</h3>
+        <button className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      <p style={{ fontSize: '14px', color: '#666', marginBottom: '16px' }}>
+        Compare this safety number with {otherUser?.username} in person or over a trusted
+        channel, or scan their QR code. If it matches, your conversation has not been
+        intercepted.
+      </p>
+
+      {safetyNumber && (
+        <div style={{ display: 'flex', gap: '24px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '16px' }}>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(4, auto)',
+            gap: '8px 16px',
+            fontFamily: 'monospace',
+            fontSize: '18px'
+          }}>
+            {formatSafetyNumber(safetyNumber).map((group, idx) => (
+              <span key={idx}>{group}</span>
+            ))}
+          </div>
+          <QRCodeSVG value={buildSafetyNumberPayload(safetyNumber)} size={160} />
+        </div>
+      )}
+
+      {verified ? (
+        <button className="btn btn-secondary" onClick={onUnverify}>
+          Clear Verified Status
+        </button>
+      ) : (
+        <button className="btn btn-primary" onClick={onVerify} disabled={!safetyNumber}>
+          Mark as Verified
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default VerifyContact;
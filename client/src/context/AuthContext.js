@@ -1,17 +1,31 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import axios from 'axios';
+import { io } from 'socket.io-client';
 import { useNavigate } from 'react-router-dom';
+import { unlockPrivateKey, lockPrivateKeys, hasUnlockedPrivateKey } from '../utils/keyStorage';
+import { computeClockOffset } from '../utils/messageEnvelope';
 
 const AuthContext = createContext();
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || API_URL.replace(/\/api\/?$/, '');
 
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
+  const [socket, setSocket] = useState(null);
+  // Local clock correction (ms) for timestamps the server checks
+  const [clockOffset, setClockOffset] = useState(0);
 
   useEffect(() => {
+    // Unwrapped keys only live in memory, so a reloaded page must log in again
+    if (token && !hasUnlockedPrivateKey()) {
+      logout();
+      setLoading(false);
+      return;
+    }
+
     if (token) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       // Verify token and get user info
@@ -21,6 +35,46 @@ export function AuthProvider({ children }) {
     }
   }, [token]);
 
+  useEffect(() => {
+    // One authenticated socket per session; the server joins it to our user room
+    if (!token || !hasUnlockedPrivateKey()) {
+      return;
+    }
+
+    const newSocket = io(SOCKET_URL, { auth: { token } });
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+    });
+    // Acknowledge delivery of every pushed message, whichever page is open
+    newSocket.on('message:new', (message) => {
+      newSocket.emit('message:receipt', { messageId: message._id, type: 'delivered' });
+    });
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.disconnect();
+      setSocket(null);
+    };
+  }, [token]);
+
+  useEffect(() => {
+    // Measure drift against the server once per session
+    if (!token) {
+      return;
+    }
+
+    const syncClock = async () => {
+      try {
+        const requestStart = Date.now();
+        const response = await axios.get(`${API_URL}/time`);
+        setClockOffset(computeClockOffset(response.data.serverTime, requestStart, Date.now()));
+      } catch (error) {
+        console.error('Clock sync error:', error);
+      }
+    };
+    syncClock();
+  }, [token]);
+
   const verifyToken = async () => {
     try {
       // Token verification happens via API calls
@@ -31,7 +85,17 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const login = async (username, password) => {
+  const login = async (username, password, passphrase) => {
+    // Unlock the identity key first so a wrong passphrase never logs in
+    try {
+      await unlockPrivateKey(username, passphrase);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Failed to unlock private key'
+      };
+    }
+
     try {
       const response = await axios.post(`${API_URL}/auth/login`, {
         username,
@@ -45,6 +109,7 @@ export function AuthProvider({ children }) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
       return { success: true };
     } catch (error) {
+      lockPrivateKeys();
       return {
         success: false,
         error: error.response?.data?.error || 'Login failed'
@@ -77,6 +142,7 @@ export function AuthProvider({ children }) {
   };
 
   const logout = () => {
+    lockPrivateKeys();
     setToken(null);
     setUser(null);
     localStorage.removeItem('token');
@@ -88,6 +154,8 @@ export function AuthProvider({ children }) {
     token,
     isAuthenticated: !!token,
     loading,
+    socket,
+    clockOffset,
     login,
     register,
     logout,
@@ -95,6 +95,62 @@ export async function generateECCKeyPair() {
   }
 }
 
+/**
+ * Generate ECDH key pair (P-256) whose private key never leaves Web Crypto
+ * Only the public key is exported; the private CryptoKey can be kept in IndexedDB
+ */
+export async function generateNonExtractableECDHKeyPair() {
+  try {
+    const keyPair = await window.crypto.subtle.generateKey(
+      {
+        name: 'ECDH',
+        namedCurve: 'P-256'
+      },
+      false, // private key not extractable
+      ['deriveKey', 'deriveBits']
+    );
+
+    const publicKey = await window.crypto.subtle.exportKey('spki', keyPair.publicKey);
+
+    return {
+      publicKey: arrayBufferToBase64(publicKey),
+      privateKey: keyPair.privateKey
+    };
+  } catch (error) {
+    console.error('ECDH key generation error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate ECDSA identity key pair (P-256) for signing
+ */
+export async function generateECDSAKeyPair() {
+  try {
+    const keyPair = await window.crypto.subtle.generateKey(
+      {
+        name: 'ECDSA',
+        namedCurve: 'P-256'
+      },
+      true, // extractable
+      ['sign', 'verify']
+    );
+
+    // Export keys
+    const publicKey = await window.crypto.subtle.exportKey('spki', keyPair.publicKey);
+    const privateKey = await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+
+    return {
+      publicKey: arrayBufferToBase64(publicKey),
+      privateKey: arrayBufferToBase64(privateKey),
+      keyPair: keyPair
+    };
+  } catch (error) {
+    console.error('ECDSA key generation error:', error);
+    throw error;
+  }
+}
+
 /**
  * Import RSA public key from base64
  */
@@ -193,9 +249,21 @@ export async function importECCPrivateKey(base64Key) {
 }
 
 /**
- * Encrypt message with AES-256-GCM
+ * AES-GCM parameters, with optional additional authenticated data (a string
+ * that is not encrypted but must match exactly on decryption)
+ */
+function gcmParams(iv, aad) {
+  const params = { name: 'AES-GCM', iv };
+  if (aad !== undefined && aad !== null) {
+    params.additionalData = stringToArrayBuffer(aad);
+  }
+  return params;
+}
+
+/**
+ * Encrypt message with AES-256-GCM, optionally binding aad
  */
-export async function encryptMessage(plaintext, key) {
+export async function encryptMessage(plaintext, key, aad) {
   try {
     // Generate random IV (96 bits for GCM)
     const iv = window.crypto.getRandomValues(new Uint8Array(12));
@@ -203,10 +271,7 @@ export async function encryptMessage(plaintext, key) {
     // Encrypt
     const plaintextBuffer = stringToArrayBuffer(plaintext);
     const encrypted = await window.crypto.subtle.encrypt(
-      {
-        name: 'AES-GCM',
-        iv: iv
-      },
+      gcmParams(iv, aad),
       key,
       plaintextBuffer
     );
@@ -228,9 +293,9 @@ export async function encryptMessage(plaintext, key) {
 }
 
 /**
- * Decrypt message with AES-256-GCM
+ * Decrypt message with AES-256-GCM; aad must be the value used to encrypt
  */
-export async function decryptMessage(encryptedData, key) {
+export async function decryptMessage(encryptedData, key, aad) {
   try {
     const { ciphertext, iv, authTag } = encryptedData;
 
@@ -246,10 +311,7 @@ export async function decryptMessage(encryptedData, key) {
 
     // Decrypt
     const decrypted = await window.crypto.subtle.decrypt(
-      {
-        name: 'AES-GCM',
-        iv: ivBuffer
-      },
+      gcmParams(ivBuffer, aad),
       key,
       combined.buffer
     );
@@ -318,6 +380,176 @@ export async function deriveKey(sharedSecret, salt, info) {
   }
 }
 
+/**
+ * Derive AES-256-GCM key from a passphrase with PBKDF2-SHA256
+ * Used to wrap the identity private key at rest; salt is base64
+ */
+export async function deriveKeyFromPassphrase(passphrase, salt, iterations) {
+  try {
+    const baseKey = await window.crypto.subtle.importKey(
+      'raw',
+      stringToArrayBuffer(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return await window.crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        salt: base64ToArrayBuffer(salt),
+        iterations: iterations
+      },
+      baseKey,
+      {
+        name: 'AES-GCM',
+        length: 256
+      },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  } catch (error) {
+    console.error('Passphrase key derivation error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Derive HMAC-SHA256 key using HKDF (used for key confirmation)
+ */
+export async function deriveHMACKey(sharedSecret, salt, info) {
+  try {
+    const baseKey = await window.crypto.subtle.importKey(
+      'raw',
+      sharedSecret,
+      'HKDF',
+      false,
+      ['deriveKey']
+    );
+
+    return await window.crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: salt || new Uint8Array(0),
+        info: info ? stringToArrayBuffer(info) : new Uint8Array(0)
+      },
+      baseKey,
+      {
+        name: 'HMAC',
+        hash: 'SHA-256',
+        length: 256
+      },
+      false,
+      ['sign', 'verify']
+    );
+  } catch (error) {
+    console.error('HMAC key derivation error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compute HMAC-SHA256 over data, returned as base64
+ */
+export async function computeHMAC(data, key) {
+  try {
+    const mac = await window.crypto.subtle.sign('HMAC', key, stringToArrayBuffer(data));
+    return arrayBufferToBase64(mac);
+  } catch (error) {
+    console.error('HMAC error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verify HMAC-SHA256 (constant-time comparison done by Web Crypto)
+ */
+export async function verifyHMAC(data, mac, key) {
+  try {
+    return await window.crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64ToArrayBuffer(mac),
+      stringToArrayBuffer(data)
+    );
+  } catch (error) {
+    console.error('HMAC verification error:', error);
+    return false;
+  }
+}
+
+/**
+ * Compute HMAC-SHA256 over raw bytes, returned as raw bytes (ratchet KDFs)
+ */
+export async function computeHMACBytes(data, key) {
+  try {
+    const mac = await window.crypto.subtle.sign('HMAC', key, data);
+    return new Uint8Array(mac);
+  } catch (error) {
+    console.error('HMAC error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Derive raw key material using HKDF-SHA256
+ */
+export async function deriveBytes(inputKeyMaterial, salt, info, length = 32) {
+  try {
+    const baseKey = await window.crypto.subtle.importKey(
+      'raw',
+      inputKeyMaterial,
+      'HKDF',
+      false,
+      ['deriveBits']
+    );
+
+    const bits = await window.crypto.subtle.deriveBits(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: salt || new Uint8Array(0),
+        info: info ? stringToArrayBuffer(info) : new Uint8Array(0)
+      },
+      baseKey,
+      length * 8
+    );
+
+    return new Uint8Array(bits);
+  } catch (error) {
+    console.error('Key derivation error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import raw bytes as a non-extractable HMAC-SHA256 key
+ */
+export async function importHMACKey(rawKey) {
+  return await window.crypto.subtle.importKey(
+    'raw',
+    rawKey,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * Import raw bytes as a non-extractable AES-256-GCM key
+ */
+export async function importAESKey(rawKey) {
+  return await window.crypto.subtle.importKey(
+    'raw',
+    rawKey,
+    { name: 'AES-GCM' },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
 /**
  * Perform ECDH key exchange
  */
@@ -340,27 +572,44 @@ export async function performECDH(myPrivateKey, theirPublicKey) {
 }
 
 /**
- * Sign data with RSA private key
+ * Signature parameters for an identity key algorithm (User.keyAlgorithm)
+ * ECC identity keys are P-256 keys used with ECDSA; the pkcs8/spki encoding
+ * is shared with ECDH keys, so accounts registered with an ECDH key still sign
+ */
+function getSignatureParams(keyAlgorithm) {
+  if (keyAlgorithm === 'ECC') {
+    return {
+      importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+      signParams: { name: 'ECDSA', hash: 'SHA-256' }
+    };
+  }
+
+  return {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    signParams: { name: 'RSASSA-PKCS1-v1_5' }
+  };
+}
+
+/**
+ * Sign data with identity private key (RSA or ECDSA)
  */
-export async function signData(data, privateKey) {
+export async function signData(data, privateKey, keyAlgorithm = 'RSA') {
   try {
     const dataBuffer = stringToArrayBuffer(data);
+    const { importParams, signParams } = getSignatureParams(keyAlgorithm);
     
     // Import private key for signing
     const keyData = base64ToArrayBuffer(privateKey);
     const signingKey = await window.crypto.subtle.importKey(
       'pkcs8',
       keyData,
-      {
-        name: 'RSASSA-PKCS1-v1_5',
-        hash: 'SHA-256'
-      },
+      importParams,
       false,
       ['sign']
     );
 
     const signature = await window.crypto.subtle.sign(
-      'RSASSA-PKCS1-v1_5',
+      signParams,
       signingKey,
       dataBuffer
     );
@@ -373,27 +622,25 @@ export async function signData(data, privateKey) {
 }
 
 /**
- * Verify signature with RSA public key
+ * Verify signature with identity public key (RSA or ECDSA)
  */
-export async function verifySignature(data, signature, publicKey) {
+export async function verifySignature(data, signature, publicKey, keyAlgorithm = 'RSA') {
   try {
     const dataBuffer = stringToArrayBuffer(data);
     const signatureBuffer = base64ToArrayBuffer(signature);
+    const { importParams, signParams } = getSignatureParams(keyAlgorithm);
     
     const keyData = base64ToArrayBuffer(publicKey);
     const verifyingKey = await window.crypto.subtle.importKey(
       'spki',
       keyData,
-      {
-        name: 'RSASSA-PKCS1-v1_5',
-        hash: 'SHA-256'
-      },
+      importParams,
       false,
       ['verify']
     );
 
     const isValid = await window.crypto.subtle.verify(
-      'RSASSA-PKCS1-v1_5',
+      signParams,
       verifyingKey,
       signatureBuffer,
       dataBuffer
@@ -415,6 +662,14 @@ export function generateNonce() {
   return arrayBufferToBase64(array.buffer);
 }
 
+/**
+ * Hash a string, returning raw bytes (SHA-256 or SHA-512)
+ */
+export async function hashBytes(data, hash = 'SHA-256') {
+  const hashBuffer = await window.crypto.subtle.digest(hash, stringToArrayBuffer(data));
+  return new Uint8Array(hashBuffer);
+}
+
 /**
  * Hash data using SHA-256
  */
@@ -429,3 +684,122 @@ export async function hashData(data) {
   }
 }
 
+
+// SHA-256 over the concatenation of byte arrays
+async function sha256Bytes(...parts) {
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const data = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    data.set(part, offset);
+    offset += part.length;
+  });
+  return new Uint8Array(await window.crypto.subtle.digest('SHA-256', data));
+}
+
+const MERKLE_LEAF_PREFIX = new Uint8Array([0x00]);
+const MERKLE_NODE_PREFIX = new Uint8Array([0x01]);
+
+const hashMerkleChildren = (left, right) => sha256Bytes(MERKLE_NODE_PREFIX, left, right);
+
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+/**
+ * RFC 6962 Merkle leaf hash of a string, as base64
+ */
+export async function hashMerkleLeaf(data) {
+  return arrayBufferToBase64(await sha256Bytes(MERKLE_LEAF_PREFIX, stringToArrayBuffer(data)));
+}
+
+/**
+ * Verify a Merkle audit path (RFC 9162 section 2.1.3.2)
+ * Hashes are base64; returns true if the leaf is in the tree with rootHash
+ */
+export async function verifyInclusionProof(leafHash, leafIndex, treeSize, auditPath, rootHash) {
+  try {
+    if (!Number.isInteger(leafIndex) || leafIndex < 0 || leafIndex >= treeSize) {
+      return false;
+    }
+
+    let fn = leafIndex;
+    let sn = treeSize - 1;
+    let r = new Uint8Array(base64ToArrayBuffer(leafHash));
+
+    for (const p of auditPath.map((hash) => new Uint8Array(base64ToArrayBuffer(hash)))) {
+      if (sn === 0) {
+        return false;
+      }
+      if (fn % 2 === 1 || fn === sn) {
+        r = await hashMerkleChildren(p, r);
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      } else {
+        r = await hashMerkleChildren(r, p);
+      }
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && bytesEqual(r, new Uint8Array(base64ToArrayBuffer(rootHash)));
+  } catch (error) {
+    console.error('Inclusion proof verification error:', error);
+    return false;
+  }
+}
+
+/**
+ * Verify that the tree of fromSize leaves is a prefix of the tree of toSize
+ * leaves (RFC 9162 section 2.1.4.2). Hashes are base64
+ */
+export async function verifyConsistencyProof(fromSize, toSize, fromRoot, toRoot, proof) {
+  try {
+    if (fromSize === toSize) {
+      return proof.length === 0 && fromRoot === toRoot;
+    }
+    if (fromSize < 1 || fromSize > toSize || proof.length === 0) {
+      return false;
+    }
+
+    const path = proof.map((hash) => new Uint8Array(base64ToArrayBuffer(hash)));
+    const firstRoot = new Uint8Array(base64ToArrayBuffer(fromRoot));
+
+    // A power-of-two first tree is itself a node of the second tree
+    if ((fromSize & (fromSize - 1)) === 0) {
+      path.unshift(firstRoot);
+    }
+
+    let fn = fromSize - 1;
+    let sn = toSize - 1;
+    while (fn % 2 === 1) {
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    let fr = path[0];
+    let sr = path[0];
+    for (const c of path.slice(1)) {
+      if (sn === 0) {
+        return false;
+      }
+      if (fn % 2 === 1 || fn === sn) {
+        fr = await hashMerkleChildren(c, fr);
+        sr = await hashMerkleChildren(c, sr);
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      } else {
+        sr = await hashMerkleChildren(sr, c);
+      }
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && bytesEqual(fr, firstRoot) && bytesEqual(sr, new Uint8Array(base64ToArrayBuffer(toRoot)));
+  } catch (error) {
+    console.error('Consistency proof verification error:', error);
+    return false;
+  }
+}
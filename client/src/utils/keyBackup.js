@@ -0,0 +1,154 @@
+/**
+ * Encrypted identity key backups
+ *
+ * Backup file format (JSON, version 1):
+ * {
+ *   format: 'e2ee-key-backup',
+ *   version: 1,
+ *   userId, username, keyAlgorithm, keySize,
+ *   publicKeyFingerprint: { algorithm: 'SHA-256', value },
+ *   kdf: { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+ *   cipher: { name: 'AES-GCM', iv, authTag },
+ *   ciphertext,
+ *   createdAt
+ * }
+ * The private key (base64 pkcs8) is encrypted under a key derived from the
+ * backup passphrase. On restore the fingerprint is checked against the public
+ * key registered on the server, and the decrypted key must sign for it.
+ */
+
+import {
+  deriveKeyFromPassphrase,
+  encryptMessage,
+  decryptMessage,
+  generateNonce,
+  hashData,
+  signData,
+  verifySignature
+} from './crypto';
+
+export const BACKUP_FORMAT = 'e2ee-key-backup';
+export const BACKUP_VERSION = 1;
+
+const BACKUP_KDF_ITERATIONS = 600000;
+
+/**
+ * Fingerprint of a base64 SPKI public key
+ */
+export async function computeKeyFingerprint(publicKey) {
+  return await hashData(publicKey);
+}
+
+/**
+ * Create an encrypted backup of the unlocked identity key
+ * identity is { userId, username, publicKey, privateKey, keyAlgorithm, keySize }
+ */
+export async function createKeyBackup(identity, passphrase) {
+  const salt = generateNonce();
+  const backupKey = await deriveKeyFromPassphrase(passphrase, salt, BACKUP_KDF_ITERATIONS);
+  const encrypted = await encryptMessage(identity.privateKey, backupKey);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    userId: identity.userId,
+    username: identity.username,
+    keyAlgorithm: identity.keyAlgorithm,
+    keySize: identity.keySize,
+    publicKeyFingerprint: {
+      algorithm: 'SHA-256',
+      value: await computeKeyFingerprint(identity.publicKey)
+    },
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      salt: salt,
+      iterations: BACKUP_KDF_ITERATIONS
+    },
+    cipher: {
+      name: 'AES-GCM',
+      iv: encrypted.iv,
+      authTag: encrypted.authTag
+    },
+    ciphertext: encrypted.ciphertext,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Parse and validate a backup file's contents
+ */
+export function parseKeyBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Backup file is not valid JSON');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('Not a key backup file');
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${backup.version}`);
+  }
+  if (
+    !backup.userId ||
+    !backup.publicKeyFingerprint?.value ||
+    backup.kdf?.name !== 'PBKDF2' ||
+    !backup.kdf.salt ||
+    !Number.isInteger(backup.kdf.iterations) ||
+    backup.cipher?.name !== 'AES-GCM' ||
+    !backup.ciphertext
+  ) {
+    throw new Error('Backup file is incomplete or corrupted');
+  }
+
+  return backup;
+}
+
+/**
+ * Decrypt a backup for the given server account ({ _id, username, publicKey,
+ * keyAlgorithm }); returns { privateKey, keyAlgorithm, keySize }
+ */
+export async function restoreKeyBackup(backup, passphrase, serverUser) {
+  if (backup.userId !== serverUser._id || backup.username !== serverUser.username) {
+    throw new Error('Backup belongs to a different account');
+  }
+
+  const fingerprint = await computeKeyFingerprint(serverUser.publicKey);
+  if (fingerprint !== backup.publicKeyFingerprint.value) {
+    throw new Error('Backup does not match the public key registered on the server');
+  }
+
+  const { salt, iterations } = backup.kdf;
+  const backupKey = await deriveKeyFromPassphrase(passphrase, salt, iterations);
+
+  let privateKey;
+  try {
+    privateKey = await decryptMessage(
+      {
+        ciphertext: backup.ciphertext,
+        iv: backup.cipher.iv,
+        authTag: backup.cipher.authTag
+      },
+      backupKey
+    );
+  } catch (error) {
+    throw new Error('Incorrect backup passphrase');
+  }
+
+  // The decrypted key must actually belong to the registered public key
+  const challenge = `key-backup-check|${serverUser._id}|${generateNonce()}`;
+  const signature = await signData(challenge, privateKey, serverUser.keyAlgorithm);
+  const isValid = await verifySignature(challenge, signature, serverUser.publicKey, serverUser.keyAlgorithm);
+  if (!isValid) {
+    throw new Error('Backup private key does not match the registered public key');
+  }
+
+  return {
+    privateKey,
+    keyAlgorithm: serverUser.keyAlgorithm,
+    keySize: serverUser.keySize
+  };
+}
@@ -1,46 +1,159 @@
 /**
  * Custom Key Exchange Protocol Implementation
  * 
- * Protocol Flow:
- * 1. Initiator generates ECDH key pair and sends public key + signature
- * 2. Responder generates ECDH key pair and sends public key + signature
- * 3. Both parties derive shared secret using ECDH
- * 4. Both parties derive session key using HKDF
- * 5. Key confirmation message exchanged
+ * Protocol Flow (SIGMA-style, three messages through the server):
+ * 1. Initiator generates ECDH key pair and sends public key + nonce
+ * 2. Responder generates ECDH key pair and sends public key + nonce +
+ *    signature over the handshake transcript
+ * 3. Initiator verifies it, then sends its own signature over the same
+ *    transcript together with its key confirmation
+ * 4. Both parties derive a ratchet root key and confirmation MAC key using
+ *    ECDH + HKDF
+ * 5. Each party sends an HMAC over the transcript; the session is only used
+ *    once the peer's signature and confirmation both verify
+ * 6. Messages are then encrypted with the Double Ratchet (see ratchet.js),
+ *    seeded from the root key and both ephemeral keys
+ *
+ * The transcript covers protocol version, exchange ID, both identities,
+ * both ephemeral public keys and both nonces, all of which are stored on
+ * the KeyExchange record so any party can reproduce it later.
+ *
+ * Asynchronous (X3DH-style) mode:
+ * Each user publishes a signed prekey and a batch of one-time prekeys. An
+ * initiator claims the responder's bundle, verifies the signed prekey against
+ * the responder's identity key and derives the session from
+ * DH(EK, SPK) || DH(EK, OPK) right away, so the first message can be sent
+ * while the responder is offline. Identity keys are signing keys here, so
+ * authentication comes from the prekey signature and both transcript
+ * signatures rather than identity DH terms.
  */
 
 import {
-  generateECCKeyPair,
   importECCPublicKey,
-  importECCPrivateKey,
   performECDH,
-  deriveKey,
+  deriveHMACKey,
+  computeHMAC,
+  verifyHMAC,
   signData,
   verifySignature,
   generateNonce,
-  hashData
+  generateNonExtractableECDHKeyPair
 } from './crypto';
+import { initRatchetAsInitiator, initRatchetAsResponder } from './ratchet';
+
+export const PROTOCOL_VERSION = 'e2ee-kex-v1';
+export const PREKEY_PROTOCOL_VERSION = 'e2ee-x3dh-v1';
+
+// Replenish one-time prekeys on the server when fewer than this remain
+export const ONE_TIME_PREKEY_MIN = 10;
+export const ONE_TIME_PREKEY_BATCH = 50;
 
 /**
- * Initiate key exchange
+ * Raised when a key exchange signature does not match the peer's registered key
  */
-export async function initiateKeyExchange(responderId, myPrivateKey, myUsername) {
-  try {
-    // Generate ephemeral ECDH key pair
-    const ecdhKeyPair = await generateECCKeyPair();
+export class InvalidSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSignatureError';
+  }
+}
 
-    // Create message to sign: responderId + myPublicKey + timestamp
-    const timestamp = Date.now();
-    const messageToSign = `${responderId}:${ecdhKeyPair.publicKey}:${timestamp}`;
+const idOf = (ref) => (ref && ref._id) || ref;
 
-    // Sign with RSA private key
-    const signature = await signData(messageToSign, myPrivateKey);
+/**
+ * Build the canonical handshake transcript signed and MACed by both parties
+ * In prekey mode responderPublicKey is the signed prekey and the one-time
+ * prekey is appended. Must stay byte-identical to server/utils/handshake.js
+ */
+export function buildHandshakeTranscript(keyExchange) {
+  const fields = [
+    keyExchange.protocolVersion,
+    idOf(keyExchange._id),
+    idOf(keyExchange.initiatorId),
+    idOf(keyExchange.responderId),
+    keyExchange.initiatorPublicKey,
+    keyExchange.responderPublicKey,
+    keyExchange.initiatorNonce,
+    keyExchange.responderNonce || ''
+  ];
+
+  if (keyExchange.protocolVersion === PREKEY_PROTOCOL_VERSION) {
+    fields.push(
+      keyExchange.signedPreKeyId,
+      keyExchange.oneTimePreKeyId ?? '',
+      keyExchange.oneTimePreKey || ''
+    );
+  }
+
+  return fields.join('|');
+}
+
+/**
+ * Data signed by the identity key to vouch for a signed prekey
+ */
+function buildSignedPreKeyData(userId, keyId, publicKey) {
+  return `signed-prekey|${userId}|${keyId}|${publicKey}`;
+}
+
+function randomKeyId() {
+  return window.crypto.getRandomValues(new Uint32Array(1))[0] >>> 1;
+}
+
+/**
+ * Generate a signed prekey; the private key is a non-extractable CryptoKey
+ */
+export async function generateSignedPreKey(userId, myIdentity) {
+  const keyId = randomKeyId();
+  const { publicKey, privateKey } = await generateNonExtractableECDHKeyPair();
+  const signature = await signData(
+    buildSignedPreKeyData(userId, keyId, publicKey),
+    myIdentity.privateKey,
+    myIdentity.keyAlgorithm
+  );
+
+  return { keyId, publicKey, privateKey, signature };
+}
+
+/**
+ * Generate a batch of one-time prekeys
+ */
+export async function generateOneTimePreKeys(count = ONE_TIME_PREKEY_BATCH) {
+  const preKeys = [];
+  for (let i = 0; i < count; i++) {
+    const { publicKey, privateKey } = await generateNonExtractableECDHKeyPair();
+    preKeys.push({ keyId: randomKeyId(), publicKey, privateKey });
+  }
+  return preKeys;
+}
+
+/**
+ * Verify a claimed bundle's signed prekey against the owner's identity key
+ */
+export async function verifySignedPreKey(userId, signedPreKey, peerIdentity) {
+  const isValid = await verifySignature(
+    buildSignedPreKeyData(userId, signedPreKey.keyId, signedPreKey.publicKey),
+    signedPreKey.signature,
+    peerIdentity.publicKey,
+    peerIdentity.keyAlgorithm
+  );
+  if (!isValid) {
+    throw new InvalidSignatureError('Signed prekey signature verification failed');
+  }
+}
+
+/**
+ * Initiate key exchange
+ */
+export async function initiateKeyExchange() {
+  try {
+    // Generate ephemeral ECDH key pair (private key non-extractable) and fresh nonce
+    const ecdhKeyPair = await generateNonExtractableECDHKeyPair();
 
     return {
+      protocolVersion: PROTOCOL_VERSION,
       initiatorPublicKey: ecdhKeyPair.publicKey,
-      initiatorSignature: signature,
-      timestamp: timestamp,
-      ecdhKeyPair: ecdhKeyPair // Keep for later use
+      initiatorNonce: generateNonce(),
+      ecdhPrivateKey: ecdhKeyPair.privateKey // Keep for later use
     };
   } catch (error) {
     console.error('Key exchange initiation error:', error);
@@ -50,35 +163,27 @@ export async function initiateKeyExchange(responderId, myPrivateKey, myUsername)
 
 /**
  * Respond to key exchange
+ * myIdentity is the local key record ({ privateKey, keyAlgorithm })
  */
-export async function respondToKeyExchange(
-  initiatorPublicKey,
-  initiatorSignature,
-  initiatorUsername,
-  responderPublicKey,
-  myPrivateKey,
-  myUsername
-) {
+export async function respondToKeyExchange(keyExchange, myIdentity) {
   try {
-    // Verify initiator's signature
-    const messageToVerify = `${myUsername}:${initiatorPublicKey}:${Date.now()}`;
-    // Server verifies initiator's signature before forwarding
-
-    // Generate ephemeral ECDH key pair for responder
-    const ecdhKeyPair = await generateECCKeyPair();
+    // Generate ephemeral ECDH key pair and fresh nonce for responder
+    const ecdhKeyPair = await generateNonExtractableECDHKeyPair();
+    const responderNonce = generateNonce();
 
-    // Create message to sign
-    const timestamp = Date.now();
-    const messageToSign = `${initiatorUsername}:${ecdhKeyPair.publicKey}:${timestamp}`;
-
-    // Sign with RSA private key
-    const signature = await signData(messageToSign, myPrivateKey);
+    // Sign the full transcript with identity private key
+    const transcript = buildHandshakeTranscript({
+      ...keyExchange,
+      responderPublicKey: ecdhKeyPair.publicKey,
+      responderNonce
+    });
+    const signature = await signData(`responder|${transcript}`, myIdentity.privateKey, myIdentity.keyAlgorithm);
 
     return {
       responderPublicKey: ecdhKeyPair.publicKey,
+      responderNonce,
       responderSignature: signature,
-      timestamp: timestamp,
-      ecdhKeyPair: ecdhKeyPair
+      ecdhPrivateKey: ecdhKeyPair.privateKey
     };
   } catch (error) {
     console.error('Key exchange response error:', error);
@@ -87,28 +192,86 @@ export async function respondToKeyExchange(
 }
 
 /**
- * Derive session key from ECDH exchange
+ * Initiate an asynchronous key exchange against a claimed prekey bundle
  */
-export async function deriveSessionKey(
-  myECDHPrivateKey,
-  theirECDHPublicKey,
-  initiatorId,
-  responderId
-) {
+export async function initiatePreKeyExchange(bundle) {
   try {
-    // Import keys
-    const myPrivateKey = await importECCPrivateKey(myECDHPrivateKey);
+    const ecdhKeyPair = await generateNonExtractableECDHKeyPair();
+
+    return {
+      protocolVersion: PREKEY_PROTOCOL_VERSION,
+      initiatorPublicKey: ecdhKeyPair.publicKey,
+      initiatorNonce: generateNonce(),
+      responderPublicKey: bundle.signedPreKey.publicKey,
+      signedPreKeyId: bundle.signedPreKey.keyId,
+      oneTimePreKeyId: bundle.oneTimePreKey ? bundle.oneTimePreKey.keyId : null,
+      oneTimePreKey: bundle.oneTimePreKey ? bundle.oneTimePreKey.publicKey : null,
+      ecdhPrivateKey: ecdhKeyPair.privateKey
+    };
+  } catch (error) {
+    console.error('Prekey exchange initiation error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sign the completed transcript in the given role
+ * The initiator always signs last; in prekey mode the responder does too
+ */
+export async function signHandshake(keyExchange, myIdentity, role = 'initiator') {
+  const transcript = buildHandshakeTranscript(keyExchange);
+  return await signData(`${role}|${transcript}`, myIdentity.privateKey, myIdentity.keyAlgorithm);
+}
+
+/**
+ * Verify the peer's transcript signature against their registered key
+ * role is the peer's role; peerIdentity is { publicKey, keyAlgorithm }
+ */
+export async function verifyHandshakeSignature(keyExchange, role, peerIdentity) {
+  const signature = keyExchange[`${role}Signature`];
+  if (!signature) {
+    throw new InvalidSignatureError(`Missing ${role} signature`);
+  }
+
+  const transcript = buildHandshakeTranscript(keyExchange);
+  const isValid = await verifySignature(
+    `${role}|${transcript}`,
+    signature,
+    peerIdentity.publicKey,
+    peerIdentity.keyAlgorithm
+  );
+  if (!isValid) {
+    throw new InvalidSignatureError(`${role} signature verification failed`);
+  }
+}
+
+/**
+ * Derive ratchet root key and confirmation key from the concatenated DH outputs
+ * Both nonces are used as HKDF salt so every exchange yields fresh keys
+ */
+async function deriveKeysFromSharedSecret(sharedSecret, keyExchange) {
+  const initiatorId = idOf(keyExchange.initiatorId);
+  const responderId = idOf(keyExchange.responderId);
+  const salt = new TextEncoder().encode(`${keyExchange.initiatorNonce}:${keyExchange.responderNonce || ''}`);
+  const rootKey = await deriveHMACKey(sharedSecret, salt, `${initiatorId}:${responderId}:ratchet-root`);
+  const confirmationKey = await deriveHMACKey(sharedSecret, salt, `${initiatorId}:${responderId}:key-confirmation`);
+
+  return { rootKey, confirmationKey };
+}
+
+/**
+ * Derive ratchet root key and key-confirmation MAC key from ECDH exchange
+ * myECDHPrivateKey is a CryptoKey; theirECDHPublicKey is base64 SPKI
+ */
+export async function deriveSessionKeys(myECDHPrivateKey, theirECDHPublicKey, keyExchange) {
+  try {
+    // Import peer key
     const theirPublicKey = await importECCPublicKey(theirECDHPublicKey);
 
     // Perform ECDH
-    const sharedSecret = await performECDH(myPrivateKey, theirPublicKey);
+    const sharedSecret = await performECDH(myECDHPrivateKey, theirPublicKey);
 
-    // Derive session key using HKDF
-    const salt = new Uint8Array(0); // Can use nonce or other salt
-    const info = `${initiatorId}:${responderId}:session-key`;
-    const sessionKey = await deriveKey(sharedSecret, salt, info);
-
-    return sessionKey;
+    return await deriveKeysFromSharedSecret(sharedSecret, keyExchange);
   } catch (error) {
     console.error('Session key derivation error:', error);
     throw error;
@@ -116,33 +279,58 @@ export async function deriveSessionKey(
 }
 
 /**
- * Generate key confirmation message
+ * Derive session keys for prekey mode from a list of [myPrivate, theirPublic]
+ * pairs: initiator uses [[EK, SPK], [EK, OPK]], responder [[SPK, EK], [OPK, EK]]
  */
-export async function generateKeyConfirmation(sessionKey, myUsername, theirUsername) {
+export async function derivePreKeySessionKeys(dhPairs, keyExchange) {
   try {
-    const confirmationData = `${myUsername}:${theirUsername}:${Date.now()}`;
-    const confirmationHash = await hashData(confirmationData);
-    
-    // Encrypt confirmation with session key
-    const encoder = new TextEncoder();
-    const data = encoder.encode(confirmationHash);
-    
-    // For key confirmation, we'll use a simple HMAC-like approach
-    // In production, use proper HMAC
-    const keyMaterial = await sessionKey;
-    const confirmation = await window.crypto.subtle.sign(
-      'HMAC',
-      await window.crypto.subtle.importKey(
-        'raw',
-        new Uint8Array(32), // Simplified for demo
-        { name: 'HMAC', hash: 'SHA-256' },
-        false,
-        ['sign']
-      ),
-      data
-    );
+    const outputs = [];
+    for (const [myECDHPrivateKey, theirECDHPublicKey] of dhPairs) {
+      const theirPublicKey = await importECCPublicKey(theirECDHPublicKey);
+      outputs.push(await performECDH(myECDHPrivateKey, theirPublicKey));
+    }
+
+    const sharedSecret = new Uint8Array(outputs.reduce((sum, out) => sum + out.length, 0));
+    let offset = 0;
+    outputs.forEach((out) => {
+      sharedSecret.set(out, offset);
+      offset += out.length;
+    });
+
+    return await deriveKeysFromSharedSecret(sharedSecret, keyExchange);
+  } catch (error) {
+    console.error('Prekey session key derivation error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Seed the Double Ratchet from a confirmed exchange
+ * myECDHPrivateKey belongs to this party's ephemeral key (the signed prekey
+ * for a prekey-mode responder); the peer's ephemeral key is the remote one
+ */
+export async function initSessionRatchet(keyExchange, rootKey, myECDHPrivateKey, isInitiator) {
+  const myRole = isInitiator ? 'initiator' : 'responder';
+  const peerRole = isInitiator ? 'responder' : 'initiator';
+  const myRatchetKey = {
+    publicKey: keyExchange[`${myRole}PublicKey`],
+    privateKey: myECDHPrivateKey
+  };
+  const theirRatchetKey = keyExchange[`${peerRole}PublicKey`];
+
+  return isInitiator
+    ? await initRatchetAsInitiator(rootKey, myRatchetKey, theirRatchetKey)
+    : await initRatchetAsResponder(rootKey, myRatchetKey, theirRatchetKey);
+}
 
-    return confirmationHash; // Simplified return
+/**
+ * Generate key confirmation message
+ * role ('initiator' or 'responder') is mixed in so one side's confirmation
+ * cannot be reflected back as the other's
+ */
+export async function generateKeyConfirmation(confirmationKey, transcript, role) {
+  try {
+    return await computeHMAC(`${role}|${transcript}`, confirmationKey);
   } catch (error) {
     console.error('Key confirmation generation error:', error);
     throw error;
@@ -150,16 +338,13 @@ export async function generateKeyConfirmation(sessionKey, myUsername, theirUsern
 }
 
 /**
- * Verify key confirmation
+ * Verify key confirmation sent by the peer in the given role
  */
-export async function verifyKeyConfirmation(confirmation, sessionKey, myUsername, theirUsername) {
+export async function verifyKeyConfirmation(confirmation, confirmationKey, transcript, role) {
   try {
-    // Recreate expected confirmation
-    const expectedConfirmation = await generateKeyConfirmation(sessionKey, theirUsername, myUsername);
-    return confirmation === expectedConfirmation;
+    return await verifyHMAC(`${role}|${transcript}`, confirmation, confirmationKey);
   } catch (error) {
     console.error('Key confirmation verification error:', error);
     return false;
   }
 }
-
@@ -0,0 +1,111 @@
+/**
+ * Identity key rotation statements
+ *
+ * Rotating from key version n to n+1 signs
+ *   key-rotation|userId|n|oldPublicKey|newPublicKey|newKeyAlgorithm|newKeySize|timestamp
+ * with both the old key (continuity) and the new key (proof of possession).
+ * GET /auth/user/:userId returns the retired keys with their statements as
+ * rotationChain, which links the first registered key to the current one.
+ */
+
+import { signData, verifySignature } from './crypto';
+import { InvalidSignatureError } from './keyExchange';
+
+/**
+ * Build the canonical rotation statement
+ * Must stay byte-identical to server/utils/keyRotation.js
+ */
+export function buildKeyRotationStatement({
+  userId,
+  keyVersion,
+  publicKey,
+  nextPublicKey,
+  nextKeyAlgorithm,
+  nextKeySize,
+  timestamp
+}) {
+  return [
+    'key-rotation',
+    userId,
+    keyVersion,
+    publicKey,
+    nextPublicKey,
+    nextKeyAlgorithm,
+    nextKeySize,
+    timestamp
+  ].join('|');
+}
+
+/**
+ * Sign a rotation from the current identity to a new key pair
+ * current is { userId, keyVersion, publicKey, privateKey, keyAlgorithm };
+ * next is { publicKey, privateKey, keyAlgorithm, keySize }.
+ * Returns the request body for POST /auth/keys/rotate
+ */
+export async function createKeyRotation(current, next, reason = 'routine') {
+  const timestamp = new Date().toISOString();
+  const statement = buildKeyRotationStatement({
+    userId: current.userId,
+    keyVersion: current.keyVersion,
+    publicKey: current.publicKey,
+    nextPublicKey: next.publicKey,
+    nextKeyAlgorithm: next.keyAlgorithm,
+    nextKeySize: next.keySize,
+    timestamp
+  });
+
+  return {
+    publicKey: next.publicKey,
+    keyAlgorithm: next.keyAlgorithm,
+    keySize: next.keySize,
+    timestamp,
+    signature: await signData(statement, current.privateKey, current.keyAlgorithm),
+    newKeySignature: await signData(statement, next.privateKey, next.keyAlgorithm),
+    reason
+  };
+}
+
+/**
+ * Verify that a user's current key descends from their first registered key
+ * through an unbroken chain of signed rotations. Throws InvalidSignatureError
+ */
+export async function verifyKeyRotationChain(user) {
+  const chain = user.rotationChain || [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const entry = chain[i];
+    const successor = chain[i + 1] || user;
+    const { rotation } = entry;
+
+    if (
+      entry.keyVersion !== i + 1 ||
+      successor.keyVersion !== entry.keyVersion + 1 ||
+      rotation.nextPublicKey !== successor.publicKey ||
+      rotation.nextKeyAlgorithm !== successor.keyAlgorithm ||
+      rotation.nextKeySize !== successor.keySize
+    ) {
+      throw new InvalidSignatureError(`Key rotation chain is broken at version ${entry.keyVersion}`);
+    }
+
+    const statement = buildKeyRotationStatement({
+      userId: user._id,
+      keyVersion: entry.keyVersion,
+      publicKey: entry.publicKey,
+      nextPublicKey: rotation.nextPublicKey,
+      nextKeyAlgorithm: rotation.nextKeyAlgorithm,
+      nextKeySize: rotation.nextKeySize,
+      timestamp: rotation.timestamp
+    });
+
+    const signedByOld = await verifySignature(statement, rotation.signature, entry.publicKey, entry.keyAlgorithm);
+    const signedByNew = await verifySignature(
+      statement,
+      rotation.nextKeySignature,
+      successor.publicKey,
+      successor.keyAlgorithm
+    );
+    if (!signedByOld || !signedByNew) {
+      throw new InvalidSignatureError(`Invalid key rotation signature at version ${entry.keyVersion}`);
+    }
+  }
+}
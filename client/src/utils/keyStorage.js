@@ -1,14 +1,35 @@
 /**
  * Secure key storage using IndexedDB
  * Private keys are NEVER sent to the server
+ * The identity key is stored wrapped; the unwrapped copy lives only in memory
  */
 
+import {
+  deriveKeyFromPassphrase,
+  encryptMessage,
+  decryptMessage,
+  generateNonce
+} from './crypto';
+
 const DB_NAME = 'E2EEKeyStore';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 const STORE_NAME = 'keys';
+const PREKEY_STORE_NAME = 'preKeys';
+const EXCHANGE_KEY_STORE_NAME = 'exchangeKeys';
+const SESSION_STORE_NAME = 'sessions';
+const KEY_LOG_STORE_NAME = 'keyLog';
+const VERIFICATION_STORE_NAME = 'verifications';
+const PINNED_KEY_STORE_NAME = 'pinnedKeys';
+const OUTBOX_STORE_NAME = 'outbox';
+
+// PBKDF2-SHA256 work factor for the passphrase wrapping key
+const PBKDF2_ITERATIONS = 600000;
 
 let db = null;
 
+// Unwrapped identity keys for this session, by username
+const unlockedKeys = new Map();
+
 /**
  * Initialize IndexedDB
  */
@@ -31,26 +52,65 @@ export function initKeyStore() {
         const objectStore = database.createObjectStore(STORE_NAME, { keyPath: 'id' });
         objectStore.createIndex('username', 'username', { unique: false });
       }
+      if (!database.objectStoreNames.contains(PREKEY_STORE_NAME)) {
+        const preKeyStore = database.createObjectStore(PREKEY_STORE_NAME, { keyPath: 'id' });
+        preKeyStore.createIndex('username', 'username', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(EXCHANGE_KEY_STORE_NAME)) {
+        const exchangeKeyStore = database.createObjectStore(EXCHANGE_KEY_STORE_NAME, { keyPath: 'id' });
+        exchangeKeyStore.createIndex('username', 'username', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(SESSION_STORE_NAME)) {
+        const sessionStore = database.createObjectStore(SESSION_STORE_NAME, { keyPath: 'id' });
+        sessionStore.createIndex('username', 'username', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(KEY_LOG_STORE_NAME)) {
+        database.createObjectStore(KEY_LOG_STORE_NAME, { keyPath: 'id' });
+      }
+      if (!database.objectStoreNames.contains(VERIFICATION_STORE_NAME)) {
+        const verificationStore = database.createObjectStore(VERIFICATION_STORE_NAME, { keyPath: 'id' });
+        verificationStore.createIndex('username', 'username', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(PINNED_KEY_STORE_NAME)) {
+        const pinnedKeyStore = database.createObjectStore(PINNED_KEY_STORE_NAME, { keyPath: 'id' });
+        pinnedKeyStore.createIndex('username', 'username', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(OUTBOX_STORE_NAME)) {
+        const outboxStore = database.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'id' });
+        outboxStore.createIndex('username', 'username', { unique: false });
+      }
     };
   });
 }
 
 /**
- * Store private key securely
+ * Store private key wrapped with a passphrase-derived key (PBKDF2 + AES-GCM)
+ * The unwrapped key is also kept in memory for the current session
  */
-export async function storePrivateKey(username, privateKey, keyAlgorithm, keySize) {
+export async function storePrivateKey(username, privateKey, keyAlgorithm, keySize, passphrase) {
   if (!db) {
     await initKeyStore();
   }
 
-  return new Promise((resolve, reject) => {
+  const salt = generateNonce();
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrappedPrivateKey = await encryptMessage(privateKey, wrappingKey);
+
+  await new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_NAME], 'readwrite');
     const store = transaction.objectStore(STORE_NAME);
 
     const keyData = {
       id: username,
       username: username,
-      privateKey: privateKey,
+      wrappedPrivateKey: wrappedPrivateKey,
+      wrapAlgorithm: 'AES-GCM',
+      kdf: {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        salt: salt,
+        iterations: PBKDF2_ITERATIONS
+      },
       keyAlgorithm: keyAlgorithm,
       keySize: keySize,
       createdAt: new Date().toISOString()
@@ -66,16 +126,14 @@ export async function storePrivateKey(username, privateKey, keyAlgorithm, keySiz
       reject(new Error('Failed to store private key'));
     };
   });
+
+  unlockedKeys.set(username, { username, privateKey, keyAlgorithm, keySize });
 }
 
 /**
- * Retrieve private key
+ * Retrieve the stored (wrapped) private key record
  */
-export async function getPrivateKey(username) {
-  if (!db) {
-    await initKeyStore();
-  }
-
+function getStoredPrivateKey(username) {
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_NAME], 'readonly');
     const store = transaction.objectStore(STORE_NAME);
@@ -95,18 +153,83 @@ export async function getPrivateKey(username) {
   });
 }
 
+/**
+ * Unwrap the stored private key with the passphrase and keep it in memory
+ * Keys stored before wrapping was introduced are wrapped on first unlock
+ */
+export async function unlockPrivateKey(username, passphrase) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  const stored = await getStoredPrivateKey(username);
+
+  if (!stored.wrappedPrivateKey) {
+    await storePrivateKey(username, stored.privateKey, stored.keyAlgorithm, stored.keySize, passphrase);
+    return unlockedKeys.get(username);
+  }
+
+  const { salt, iterations } = stored.kdf;
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt, iterations);
+
+  let privateKey;
+  try {
+    privateKey = await decryptMessage(stored.wrappedPrivateKey, wrappingKey);
+  } catch (error) {
+    throw new Error('Incorrect key passphrase');
+  }
+
+  const unlocked = {
+    username,
+    privateKey,
+    keyAlgorithm: stored.keyAlgorithm,
+    keySize: stored.keySize
+  };
+  unlockedKeys.set(username, unlocked);
+  return unlocked;
+}
+
+/**
+ * Forget all unwrapped private keys (on logout)
+ */
+export function lockPrivateKeys() {
+  unlockedKeys.clear();
+}
+
+/**
+ * Retrieve the unlocked private key for the current session
+ */
+export async function getPrivateKey(username) {
+  const unlocked = unlockedKeys.get(username);
+  if (!unlocked) {
+    throw new Error('Private key is locked. Please log in again.');
+  }
+  return unlocked;
+}
+
 /**
  * Check if private key exists
  */
 export async function hasPrivateKey(username) {
+  if (!db) {
+    await initKeyStore();
+  }
+
   try {
-    await getPrivateKey(username);
+    await getStoredPrivateKey(username);
     return true;
   } catch {
     return false;
   }
 }
 
+/**
+ * Check if any private key is unlocked in this session
+ */
+export function hasUnlockedPrivateKey() {
+  return unlockedKeys.size > 0;
+}
+
 /**
  * Delete private key (for logout/account deletion)
  */
@@ -121,6 +244,7 @@ export async function deletePrivateKey(username) {
     const request = store.delete(username);
 
     request.onsuccess = () => {
+      unlockedKeys.delete(username);
       resolve();
     };
 
@@ -139,17 +263,564 @@ export async function clearAllKeys() {
   }
 
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.clear();
+    const storeNames = [
+      STORE_NAME,
+      PREKEY_STORE_NAME,
+      EXCHANGE_KEY_STORE_NAME,
+      SESSION_STORE_NAME,
+      KEY_LOG_STORE_NAME,
+      VERIFICATION_STORE_NAME,
+      PINNED_KEY_STORE_NAME,
+      OUTBOX_STORE_NAME
+    ];
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach((name) => transaction.objectStore(name).clear());
+
+    transaction.oncomplete = () => {
+      unlockedKeys.clear();
+      resolve();
+    };
+
+    transaction.onerror = () => {
+      reject(new Error('Failed to clear keys'));
+    };
+  });
+}
+
+/**
+ * Prekey record id: one record per (user, type, keyId)
+ * type is 'signed' or 'one-time'
+ */
+function preKeyId(username, type, keyId) {
+  return `${username}:${type}:${keyId}`;
+}
+
+/**
+ * Store prekey private keys (non-extractable CryptoKeys)
+ */
+export async function storePreKeys(username, type, preKeys) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(PREKEY_STORE_NAME);
+
+    preKeys.forEach((preKey) => {
+      store.put({
+        id: preKeyId(username, type, preKey.keyId),
+        username: username,
+        type: type,
+        keyId: preKey.keyId,
+        publicKey: preKey.publicKey,
+        privateKey: preKey.privateKey,
+        createdAt: new Date().toISOString()
+      });
+    });
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onerror = () => {
+      reject(new Error('Failed to store prekeys'));
+    };
+  });
+}
+
+/**
+ * Retrieve a prekey (resolves null if it does not exist)
+ */
+export async function getPreKey(username, type, keyId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(PREKEY_STORE_NAME);
+    const request = store.get(preKeyId(username, type, keyId));
+
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to retrieve prekey'));
+    };
+  });
+}
+
+/**
+ * List all prekeys held for a user
+ */
+export async function listPreKeys(username) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(PREKEY_STORE_NAME);
+    const request = store.index('username').getAll(username);
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to list prekeys'));
+    };
+  });
+}
+
+/**
+ * Delete a prekey (one-time prekeys are deleted once used)
+ */
+export async function deletePreKey(username, type, keyId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(PREKEY_STORE_NAME);
+    const request = store.delete(preKeyId(username, type, keyId));
 
     request.onsuccess = () => {
       resolve();
     };
 
     request.onerror = () => {
-      reject(new Error('Failed to clear keys'));
+      reject(new Error('Failed to delete prekey'));
     };
   });
 }
 
+/**
+ * Store the ephemeral ECDH private key (non-extractable CryptoKey) of an
+ * exchange in progress; keyed by exchange so concurrent exchanges don't clash
+ */
+export async function storeExchangeKey(username, keyExchangeId, privateKey) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([EXCHANGE_KEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(EXCHANGE_KEY_STORE_NAME);
+
+    const request = store.put({
+      id: `${username}:${keyExchangeId}`,
+      username: username,
+      keyExchangeId: keyExchangeId,
+      privateKey: privateKey,
+      createdAt: new Date().toISOString()
+    });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to store exchange key'));
+    };
+  });
+}
+
+/**
+ * Retrieve an exchange's ephemeral private key (resolves null if missing)
+ */
+export async function getExchangeKey(username, keyExchangeId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([EXCHANGE_KEY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(EXCHANGE_KEY_STORE_NAME);
+    const request = store.get(`${username}:${keyExchangeId}`);
+
+    request.onsuccess = () => {
+      resolve(request.result ? request.result.privateKey : null);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to retrieve exchange key'));
+    };
+  });
+}
+
+/**
+ * Delete an exchange's ephemeral private key once the session holds it
+ */
+export async function deleteExchangeKey(username, keyExchangeId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([EXCHANGE_KEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(EXCHANGE_KEY_STORE_NAME);
+    const request = store.delete(`${username}:${keyExchangeId}`);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to delete exchange key'));
+    };
+  });
+}
+
+/**
+ * Store the session with a peer: ratchet state (CryptoKeys only), pending
+ * confirmation key, the plaintexts of messages whose keys are spent, the
+ * results of checking their sender signatures and the messages whose
+ * envelope check rejected them
+ */
+export async function storeSession(username, peerId, session) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(SESSION_STORE_NAME);
+
+    const request = store.put({
+      id: `${username}:${peerId}`,
+      username: username,
+      peerId: peerId,
+      keyExchangeId: session.keyExchangeId,
+      mode: session.mode,
+      isInitiator: session.isInitiator,
+      confirmed: session.confirmed,
+      confirmationKey: session.confirmationKey,
+      state: session.state,
+      plaintexts: session.plaintexts,
+      signatures: session.signatures || {},
+      rejected: session.rejected || {},
+      updatedAt: new Date().toISOString()
+    });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to store session'));
+    };
+  });
+}
+
+/**
+ * Retrieve the session with a peer (resolves null if there is none)
+ */
+export async function getSession(username, peerId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSION_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(SESSION_STORE_NAME);
+    const request = store.get(`${username}:${peerId}`);
+
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to retrieve session'));
+    };
+  });
+}
+
+/**
+ * Delete the session with a peer
+ */
+export async function deleteSession(username, peerId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(SESSION_STORE_NAME);
+    const request = store.delete(`${username}:${peerId}`);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to delete session'));
+    };
+  });
+}
+
+/**
+ * Store the key transparency log state trusted by this user: the pinned log
+ * signing key and the latest verified tree head
+ */
+export async function storeKeyLogState(username, logPublicKey, treeHead) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEY_LOG_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(KEY_LOG_STORE_NAME);
+
+    const request = store.put({
+      id: username,
+      logPublicKey: logPublicKey,
+      treeHead: treeHead,
+      updatedAt: new Date().toISOString()
+    });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to store key log state'));
+    };
+  });
+}
+
+/**
+ * Retrieve the trusted key transparency log state (resolves null if none)
+ */
+export async function getKeyLogState(username) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEY_LOG_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(KEY_LOG_STORE_NAME);
+    const request = store.get(username);
+
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to retrieve key log state'));
+    };
+  });
+}
+
+/**
+ * Mark a contact as verified for the identity key whose safety number was
+ * compared; the flag no longer applies once the contact's key changes
+ */
+export async function storeContactVerification(username, peerId, peerPublicKey) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VERIFICATION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(VERIFICATION_STORE_NAME);
+
+    const request = store.put({
+      id: `${username}:${peerId}`,
+      username: username,
+      peerId: peerId,
+      publicKey: peerPublicKey,
+      verifiedAt: new Date().toISOString()
+    });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to store contact verification'));
+    };
+  });
+}
+
+/**
+ * Retrieve a contact's verification record (resolves null if unverified)
+ */
+export async function getContactVerification(username, peerId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VERIFICATION_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(VERIFICATION_STORE_NAME);
+    const request = store.get(`${username}:${peerId}`);
+
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to retrieve contact verification'));
+    };
+  });
+}
+
+/**
+ * Clear a contact's verified flag
+ */
+export async function deleteContactVerification(username, peerId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VERIFICATION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(VERIFICATION_STORE_NAME);
+    const request = store.delete(`${username}:${peerId}`);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to delete contact verification'));
+    };
+  });
+}
+
+/**
+ * Pin a contact's identity key fingerprint (trust on first use)
+ */
+export async function storePinnedKey(username, peerId, fingerprint) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PINNED_KEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(PINNED_KEY_STORE_NAME);
+
+    const request = store.put({
+      id: `${username}:${peerId}`,
+      username: username,
+      peerId: peerId,
+      fingerprint: fingerprint,
+      pinnedAt: new Date().toISOString()
+    });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to pin key'));
+    };
+  });
+}
+
+/**
+ * Retrieve a contact's pinned key (resolves null on first contact)
+ */
+export async function getPinnedKey(username, peerId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PINNED_KEY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(PINNED_KEY_STORE_NAME);
+    const request = store.get(`${username}:${peerId}`);
+
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to retrieve pinned key'));
+    };
+  });
+}
+
+/**
+ * Queue an encrypted message for sending (or update a queued one). The
+ * entry holds the request payload, whose nonce identifies it, and the
+ * plaintext to show until it is sent
+ */
+export async function storeOutboxMessage(username, peerId, entry) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE_NAME);
+
+    const request = store.put({
+      ...entry,
+      id: `${username}:${entry.payload.nonce}`,
+      username: username,
+      peerId: peerId,
+      queuedAt: entry.queuedAt || new Date().toISOString()
+    });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to queue message'));
+    };
+  });
+}
+
+/**
+ * Messages queued for a peer, in sequence number order
+ */
+export async function listOutboxMessages(username, peerId) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(OUTBOX_STORE_NAME);
+    const request = store.index('username').getAll(username);
+
+    request.onsuccess = () => {
+      resolve(request.result
+        .filter((entry) => entry.peerId === peerId)
+        .sort((a, b) => a.payload.sequenceNumber - b.payload.sequenceNumber));
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to retrieve queued messages'));
+    };
+  });
+}
+
+/**
+ * Remove a queued message once it is sent or discarded
+ */
+export async function deleteOutboxMessage(username, nonce) {
+  if (!db) {
+    await initKeyStore();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE_NAME);
+    const request = store.delete(`${username}:${nonce}`);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to delete queued message'));
+    };
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Key transparency log verification
+ *
+ * The server appends every registered or rotated identity key to an
+ * append-only Merkle tree and signs each new tree head with the log key.
+ * Lookups return an inclusion proof for the user's current key; a key the
+ * server cannot prove is in the log, or a log that does not extend the tree
+ * head seen earlier, is rejected. Formats must stay byte-identical to
+ * server/utils/keyLog.js
+ */
+
+import {
+  hashMerkleLeaf,
+  verifyInclusionProof,
+  verifyConsistencyProof,
+  verifySignature
+} from './crypto';
+import { InvalidSignatureError } from './keyExchange';
+
+export class KeyTransparencyError extends InvalidSignatureError {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyTransparencyError';
+  }
+}
+
+/**
+ * Canonical leaf data for a user's identity key
+ */
+export function buildKeyLogLeaf(user, loggedAt) {
+  return [
+    'key-log-leaf',
+    user._id,
+    user.username,
+    user.keyVersion || 1,
+    user.publicKey,
+    user.keyAlgorithm,
+    user.keySize,
+    loggedAt
+  ].join('|');
+}
+
+export function buildTreeHeadData(treeHead) {
+  return `key-log-tree-head|${treeHead.treeSize}|${treeHead.rootHash}|${treeHead.timestamp}`;
+}
+
+/**
+ * Verify a tree head's signature by the log key (ECDSA P-256)
+ */
+export async function verifyTreeHead(treeHead, logPublicKey) {
+  const isValid = await verifySignature(buildTreeHeadData(treeHead), treeHead.signature, logPublicKey, 'ECC');
+  if (!isValid) {
+    throw new KeyTransparencyError('Key log tree head signature verification failed');
+  }
+}
+
+/**
+ * Verify that a looked-up user's current key is in the log
+ * Returns the (verified) tree head the proof is against
+ */
+export async function verifyKeyInclusion(user, logPublicKey) {
+  const { treeHead, inclusion } = user.transparency || {};
+  if (!treeHead || !inclusion) {
+    throw new KeyTransparencyError(`Key for ${user.username} is not in the key transparency log`);
+  }
+
+  await verifyTreeHead(treeHead, logPublicKey);
+
+  const leafHash = await hashMerkleLeaf(buildKeyLogLeaf(user, inclusion.loggedAt));
+  const isIncluded = await verifyInclusionProof(
+    leafHash,
+    inclusion.leafIndex,
+    treeHead.treeSize,
+    inclusion.auditPath,
+    treeHead.rootHash
+  );
+  if (!isIncluded) {
+    throw new KeyTransparencyError(`Invalid key log inclusion proof for ${user.username}`);
+  }
+
+  return treeHead;
+}
+
+/**
+ * Verify that the newer tree head extends the older one (both already
+ * signature-checked); equal sizes must have equal roots
+ */
+export async function verifyTreeHeadConsistency(older, newer, proof) {
+  const isConsistent = await verifyConsistencyProof(
+    older.treeSize,
+    newer.treeSize,
+    older.rootHash,
+    newer.rootHash,
+    proof
+  );
+  if (!isConsistent) {
+    throw new KeyTransparencyError('Key log is not consistent with the previously seen tree head');
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Authenticated message envelope
+ *
+ * The text that gets encrypted is a JSON envelope:
+ *   { v: 1, sentAt, body, salt? }
+ * sentAt (ISO 8601, on the server's clock as far as the sender can tell) is
+ * also sent in the clear so the server can enforce its freshness window. The
+ * encrypted copy is authenticated by AES-GCM, so the receiver rejects any
+ * message whose outer sentAt was changed in transit.
+ *
+ * The metadata the server sees is bound as AES-GCM additional authenticated
+ * data through a canonical header (a JSON array, so no field can spill into
+ * the next). Moving a ciphertext to another conversation or changing its
+ * sequence number, nonce, type or send time makes decryption fail:
+ *   message:    [version, senderId, receiverId, sequenceNumber, nonce, sentAt, messageType]
+ *   file chunk: [version, senderId, receiverId, fileNonce, filename, mimeType, chunkIndex, totalChunks]
+ * Records without a protocolVersion predate the header and carry no AAD.
+ */
+
+export const ENVELOPE_VERSION = 1;
+export const MESSAGE_PROTOCOL_VERSION = 'e2ee-msg-v1';
+export const FILE_PROTOCOL_VERSION = 'e2ee-file-v1';
+
+export class EnvelopeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EnvelopeError';
+  }
+}
+
+/**
+ * Serialize a message body with its send time (an ISO string); salt is a
+ * random value added to envelopes that get signed
+ */
+export function buildMessageEnvelope(body, sentAt, salt) {
+  const envelope = { v: ENVELOPE_VERSION, sentAt, body };
+  if (salt) {
+    envelope.salt = salt;
+  }
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Unwrap a decrypted envelope and return its body. sentAt is the message's
+ * outer send time; legacy messages have neither envelope nor sentAt and
+ * are returned as-is
+ */
+export function openMessageEnvelope(plaintext, sentAt) {
+  let envelope = null;
+  try {
+    envelope = JSON.parse(plaintext);
+  } catch (error) {
+    // Not an envelope
+  }
+
+  const isEnvelope = envelope && envelope.v === ENVELOPE_VERSION && typeof envelope.body === 'string';
+  if (!isEnvelope) {
+    if (sentAt) {
+      throw new EnvelopeError('Message is missing its signed send time');
+    }
+    return plaintext;
+  }
+
+  if (!sentAt || new Date(envelope.sentAt).getTime() !== new Date(sentAt).getTime()) {
+    throw new EnvelopeError('Send time does not match the signed envelope');
+  }
+
+  return envelope.body;
+}
+
+/**
+ * Canonical header of a message (used as AAD); null for legacy messages
+ */
+export function buildMessageHeader(message) {
+  if (!message.protocolVersion) {
+    return null;
+  }
+  return JSON.stringify([
+    message.protocolVersion,
+    message.senderId,
+    message.receiverId,
+    message.sequenceNumber,
+    message.nonce,
+    new Date(message.sentAt).toISOString(),
+    message.messageType
+  ]);
+}
+
+/**
+ * Canonical header of one file chunk (used as AAD); null for legacy files
+ */
+export function buildFileChunkHeader(file, chunkIndex, totalChunks) {
+  if (!file.protocolVersion) {
+    return null;
+  }
+  return JSON.stringify([
+    file.protocolVersion,
+    file.senderId,
+    file.receiverId,
+    file.nonce,
+    file.filename,
+    file.mimeType,
+    chunkIndex,
+    totalChunks
+  ]);
+}
+
+/**
+ * Offset (ms) to add to the local clock to match the server, estimated from
+ * a server time fetched between requestStart and requestEnd (local ms)
+ */
+export function computeClockOffset(serverTime, requestStart, requestEnd) {
+  return new Date(serverTime).getTime() - (requestStart + requestEnd) / 2;
+}
@@ -0,0 +1,57 @@
+/**
+ * Optional per-message sender signatures
+ *
+ * Every message is authenticated with the session's AES-GCM keys, which both
+ * parties hold, so either could forge the other's messages. In signing mode
+ * the sender also signs, with its identity key:
+ *   e2ee-message-signature-v1|<canonical header>|<SHA-256 of the envelope>
+ * Only the sender can produce that, so a transcript of signed messages proves
+ * authorship. Signed envelopes carry a random salt, so the stored signature
+ * cannot be used to confirm guesses of short messages.
+ */
+
+import { hashData, signData, verifySignature } from './crypto';
+
+export const MESSAGE_SIGNATURE_CONTEXT = 'e2ee-message-signature-v1';
+
+/**
+ * Data signed for a message: its canonical header (see buildMessageHeader)
+ * and the exact envelope text that was encrypted
+ */
+export async function buildMessageSignatureData(header, envelope) {
+  return `${MESSAGE_SIGNATURE_CONTEXT}|${header}|${await hashData(envelope)}`;
+}
+
+/**
+ * Sign a message with an unlocked identity key ({ privateKey, keyAlgorithm })
+ */
+export async function signMessage(header, envelope, identity) {
+  const data = await buildMessageSignatureData(header, envelope);
+  return await signData(data, identity.privateKey, identity.keyAlgorithm);
+}
+
+/**
+ * Public key of a user ({ publicKey, keyAlgorithm, keyVersion, rotationChain })
+ * for the given key version, or null if it is unknown
+ */
+export function findSigningKey(user, keyVersion) {
+  if (keyVersion === (user.keyVersion || 1)) {
+    return { publicKey: user.publicKey, keyAlgorithm: user.keyAlgorithm };
+  }
+
+  const entry = (user.rotationChain || []).find((key) => key.keyVersion === keyVersion);
+  return entry ? { publicKey: entry.publicKey, keyAlgorithm: entry.keyAlgorithm } : null;
+}
+
+/**
+ * Check a message's signature against its sender's key for that version
+ */
+export async function verifyMessageSignature(header, envelope, message, sender) {
+  const key = findSigningKey(sender, message.signatureKeyVersion);
+  if (!key) {
+    return false;
+  }
+
+  const data = await buildMessageSignatureData(header, envelope);
+  return await verifySignature(data, message.signature, key.publicKey, key.keyAlgorithm);
+}
@@ -0,0 +1,32 @@
+/**
+ * Outbox retry policy
+ *
+ * Messages are encrypted once and queued (see storeOutboxMessage) before they
+ * are posted. A send that fails for lack of connectivity or a server error is
+ * retried with exponential backoff; the server treats an exact resend of a
+ * stored nonce as the same message, so a retry after a lost response is safe.
+ * A message that expired while queued (the server's 422 for a send time
+ * outside its freshness window) is encrypted again with a fresh send time.
+ * Any other rejection is final: the ciphertext can never become valid.
+ */
+
+export const OUTBOX_BASE_DELAY_MS = 2000;
+export const OUTBOX_MAX_DELAY_MS = 60 * 1000;
+
+/**
+ * Whether a failed send is worth retrying: no response at all, a rate
+ * limit, or a server-side error
+ */
+export function isRetryableSendError(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Delay (ms) before the next attempt after the given number of failures,
+ * with jitter so clients coming back online together spread out
+ */
+export function getRetryDelay(attempts) {
+  const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), OUTBOX_MAX_DELAY_MS);
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
@@ -0,0 +1,239 @@
+/**
+ * Double Ratchet for per-message forward secrecy
+ *
+ * Every message is encrypted with its own AES-GCM key taken from a
+ * symmetric-key ratchet (chain key -> next chain key + message key). Whenever
+ * the peer's ratchet public key changes, a DH ratchet step mixes a fresh ECDH
+ * output into the root key and starts new chains, so a leaked state stops
+ * decrypting once both sides have sent again (post-compromise security).
+ *
+ * Initialization from a completed key exchange (root key from HKDF):
+ * - Initiator: its ephemeral key is the first sending ratchet key, the
+ *   responder's ephemeral key (or signed prekey) the first remote one
+ * - Responder: derives the matching receiving chain, then immediately takes
+ *   a DH ratchet step with a new key so it can send first
+ *
+ * State only holds non-extractable CryptoKeys. Message keys are used once;
+ * keys for messages that have not arrived yet are kept as skipped keys.
+ */
+
+import {
+  encryptMessage,
+  decryptMessage,
+  importECCPublicKey,
+  performECDH,
+  computeHMACBytes,
+  deriveBytes,
+  importHMACKey,
+  importAESKey,
+  generateNonExtractableECDHKeyPair
+} from './crypto';
+
+// Maximum number of message keys skipped in a single chain
+const MAX_SKIP = 1000;
+// Maximum number of skipped keys kept overall; the oldest are dropped first
+const MAX_SKIPPED_KEYS = 2000;
+
+const ROOT_KDF_INFO = 'e2ee-ratchet-root';
+const MESSAGE_KEY_INPUT = new Uint8Array([0x01]);
+const CHAIN_KEY_INPUT = new Uint8Array([0x02]);
+
+/**
+ * KDF_RK: mix a DH output into the root key, yielding a new root and chain key
+ */
+async function kdfRoot(rootKey, dhOutput) {
+  const inputKeyMaterial = await computeHMACBytes(dhOutput, rootKey);
+  const output = await deriveBytes(inputKeyMaterial, null, ROOT_KDF_INFO, 64);
+
+  return {
+    rootKey: await importHMACKey(output.slice(0, 32)),
+    chainKey: await importHMACKey(output.slice(32))
+  };
+}
+
+/**
+ * KDF_CK: advance a chain key and derive the message key for this step
+ */
+async function kdfChain(chainKey) {
+  const messageKey = await computeHMACBytes(MESSAGE_KEY_INPUT, chainKey);
+  const nextChainKey = await computeHMACBytes(CHAIN_KEY_INPUT, chainKey);
+
+  return {
+    chainKey: await importHMACKey(nextChainKey),
+    messageKey: await importAESKey(messageKey)
+  };
+}
+
+async function dh(privateKey, publicKey) {
+  return await performECDH(privateKey, await importECCPublicKey(publicKey));
+}
+
+const skippedKeyId = (publicKey, messageNumber) => `${publicKey}:${messageNumber}`;
+
+// Copy the mutable parts so a failed decryption leaves the original untouched
+const cloneState = (state) => ({
+  ...state,
+  skippedKeys: { ...state.skippedKeys }
+});
+
+/**
+ * Initialize ratchet state for the key exchange initiator
+ * myRatchetKey is { publicKey (base64), privateKey (CryptoKey) }
+ */
+export async function initRatchetAsInitiator(rootKey, myRatchetKey, theirRatchetPublicKey) {
+  const { rootKey: nextRootKey, chainKey } = await kdfRoot(
+    rootKey,
+    await dh(myRatchetKey.privateKey, theirRatchetPublicKey)
+  );
+
+  return {
+    rootKey: nextRootKey,
+    sendingRatchetKey: myRatchetKey,
+    remoteRatchetKey: theirRatchetPublicKey,
+    sendingChainKey: chainKey,
+    receivingChainKey: null,
+    sendCount: 0,
+    receiveCount: 0,
+    previousSendCount: 0,
+    skippedKeys: {}
+  };
+}
+
+/**
+ * Initialize ratchet state for the key exchange responder
+ */
+export async function initRatchetAsResponder(rootKey, myRatchetKey, theirRatchetPublicKey) {
+  const state = {
+    rootKey,
+    sendingRatchetKey: myRatchetKey,
+    remoteRatchetKey: null,
+    sendingChainKey: null,
+    receivingChainKey: null,
+    sendCount: 0,
+    receiveCount: 0,
+    previousSendCount: 0,
+    skippedKeys: {}
+  };
+
+  await dhRatchet(state, theirRatchetPublicKey);
+  return state;
+}
+
+/**
+ * DH ratchet step on receiving a new remote ratchet key (mutates state)
+ */
+async function dhRatchet(state, theirRatchetPublicKey) {
+  state.previousSendCount = state.sendCount;
+  state.sendCount = 0;
+  state.receiveCount = 0;
+  state.remoteRatchetKey = theirRatchetPublicKey;
+
+  const receiving = await kdfRoot(
+    state.rootKey,
+    await dh(state.sendingRatchetKey.privateKey, theirRatchetPublicKey)
+  );
+  state.receivingChainKey = receiving.chainKey;
+
+  state.sendingRatchetKey = await generateNonExtractableECDHKeyPair();
+  const sending = await kdfRoot(
+    receiving.rootKey,
+    await dh(state.sendingRatchetKey.privateKey, theirRatchetPublicKey)
+  );
+  state.rootKey = sending.rootKey;
+  state.sendingChainKey = sending.chainKey;
+}
+
+/**
+ * Store message keys for messages of the current receiving chain that have
+ * not arrived yet, up to (excluding) messageNumber (mutates state)
+ */
+async function skipMessageKeys(state, messageNumber) {
+  if (!state.receivingChainKey) {
+    return;
+  }
+  if (messageNumber - state.receiveCount > MAX_SKIP) {
+    throw new Error('Too many skipped messages');
+  }
+
+  while (state.receiveCount < messageNumber) {
+    const { chainKey, messageKey } = await kdfChain(state.receivingChainKey);
+    state.receivingChainKey = chainKey;
+    state.skippedKeys[skippedKeyId(state.remoteRatchetKey, state.receiveCount)] = messageKey;
+    state.receiveCount += 1;
+  }
+
+  const ids = Object.keys(state.skippedKeys);
+  ids.slice(0, Math.max(0, ids.length - MAX_SKIPPED_KEYS)).forEach((id) => {
+    delete state.skippedKeys[id];
+  });
+}
+
+/**
+ * Additional authenticated data for a message: the caller's associated data
+ * followed by the ratchet header (none for legacy messages)
+ */
+function headerAad(associatedData, header) {
+  if (associatedData === undefined || associatedData === null) {
+    return undefined;
+  }
+  return JSON.stringify([associatedData, header.publicKey, header.previousChainLength, header.messageNumber]);
+}
+
+/**
+ * Encrypt the next outgoing message, authenticating associatedData and the
+ * ratchet header along with it
+ * Returns the new state, the ratchet header and the encrypted payload
+ */
+export async function ratchetEncrypt(state, plaintext, associatedData) {
+  const next = cloneState(state);
+  const { chainKey, messageKey } = await kdfChain(next.sendingChainKey);
+
+  const header = {
+    publicKey: next.sendingRatchetKey.publicKey,
+    previousChainLength: next.previousSendCount,
+    messageNumber: next.sendCount
+  };
+
+  next.sendingChainKey = chainKey;
+  next.sendCount += 1;
+
+  const encrypted = await encryptMessage(plaintext, messageKey, headerAad(associatedData, header));
+  return { state: next, header, encrypted };
+}
+
+/**
+ * Decrypt an incoming message given its ratchet header and the associated
+ * data it was sent with
+ * Works on a copy of the state, so a forged or corrupted message cannot
+ * desynchronize the session; the caller keeps the returned state on success
+ */
+export async function ratchetDecrypt(state, header, encrypted, associatedData) {
+  const aad = headerAad(associatedData, header);
+  const next = cloneState(state);
+
+  const id = skippedKeyId(header.publicKey, header.messageNumber);
+  const skippedKey = next.skippedKeys[id];
+  if (skippedKey) {
+    delete next.skippedKeys[id];
+    const plaintext = await decryptMessage(encrypted, skippedKey, aad);
+    return { state: next, plaintext };
+  }
+
+  if (header.publicKey === next.remoteRatchetKey && header.messageNumber < next.receiveCount) {
+    throw new Error('Message key already used (duplicate message)');
+  }
+
+  if (header.publicKey !== next.remoteRatchetKey) {
+    await skipMessageKeys(next, header.previousChainLength);
+    await dhRatchet(next, header.publicKey);
+  }
+
+  await skipMessageKeys(next, header.messageNumber);
+
+  const { chainKey, messageKey } = await kdfChain(next.receivingChainKey);
+  next.receivingChainKey = chainKey;
+  next.receiveCount += 1;
+
+  const plaintext = await decryptMessage(encrypted, messageKey, aad);
+  return { state: next, plaintext };
+}
@@ -0,0 +1,46 @@
+/**
+ * Safety numbers for out-of-band contact verification
+ *
+ * Both users compute the same 60-digit number from their two identity public
+ * keys (sorted, so the result does not depend on who computes it). If the
+ * numbers match in person or over a trusted channel, neither key was swapped.
+ */
+
+import { hashBytes } from './crypto';
+
+const SAFETY_NUMBER_VERSION = 'e2ee-safety-number-v1';
+const GROUP_COUNT = 12;
+const GROUP_DIGITS = 5;
+
+/**
+ * Compute the safety number for two base64 SPKI public keys
+ */
+export async function computeSafetyNumber(publicKeyA, publicKeyB) {
+  const [first, second] = [publicKeyA, publicKeyB].sort();
+  const digest = await hashBytes(`${SAFETY_NUMBER_VERSION}|${first}|${second}`, 'SHA-512');
+
+  // Each 5-byte chunk of the digest becomes a 5-digit group
+  let digits = '';
+  for (let i = 0; i < GROUP_COUNT; i++) {
+    let value = 0;
+    for (let j = 0; j < 5; j++) {
+      value = value * 256 + digest[i * 5 + j];
+    }
+    digits += String(value % 10 ** GROUP_DIGITS).padStart(GROUP_DIGITS, '0');
+  }
+  return digits;
+}
+
+/**
+ * Split a safety number into 5-digit groups for display
+ */
+export function formatSafetyNumber(safetyNumber) {
+  return safetyNumber.match(new RegExp(`.{1,${GROUP_DIGITS}}`, 'g')) || [];
+}
+
+/**
+ * QR code payload: the safety number tagged with its version
+ */
+export function buildSafetyNumberPayload(safetyNumber) {
+  return `${SAFETY_NUMBER_VERSION}:${safetyNumber}`;
+}
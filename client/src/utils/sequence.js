@@ -0,0 +1,61 @@
+/**
+ * Receive-side sequence checks
+ *
+ * Each sender numbers its messages to a peer 0, 1, 2, ... and the server
+ * rejects regressions. The receiving client checks again, so a replayed,
+ * dropped or reordered message still shows up in the history.
+ */
+
+/**
+ * Annotate one sender's messages (in display order). Returns a Map of
+ * message id to { type: 'gap', missing } | { type: 'duplicate' } |
+ * { type: 'reordered' }; in-order messages are not included. The first
+ * message sets the baseline, since history may start mid-conversation
+ */
+export function analyzeSequence(messages, senderId) {
+  const issues = new Map();
+  const seen = new Set();
+  let highest = null;
+
+  messages
+    .filter((msg) => (msg.senderId._id || msg.senderId) === senderId)
+    // Older messages may predate the signed send time and enforced numbering
+    .filter((msg) => msg.sentAt && Number.isInteger(msg.sequenceNumber))
+    .forEach((msg) => {
+      const seq = msg.sequenceNumber;
+
+      if (seen.has(seq)) {
+        issues.set(msg._id, { type: 'duplicate' });
+        return;
+      }
+      seen.add(seq);
+
+      if (highest !== null && seq < highest) {
+        issues.set(msg._id, { type: 'reordered' });
+        return;
+      }
+
+      if (highest !== null && seq > highest + 1) {
+        issues.set(msg._id, { type: 'gap', missing: seq - highest - 1 });
+      }
+      highest = seq;
+    });
+
+  return issues;
+}
+
+/**
+ * Warning text for an issue from analyzeSequence
+ */
+export function describeSequenceIssue(issue) {
+  switch (issue.type) {
+    case 'gap':
+      return `${issue.missing} message${issue.missing === 1 ? '' : 's'} missing before this one`;
+    case 'duplicate':
+      return 'Duplicate sequence number: possible replay';
+    case 'reordered':
+      return 'Arrived out of order';
+    default:
+      return 'Sequence problem';
+  }
+}
@@ -9,8 +9,20 @@ const authRoutes = require('./routes/auth');
 const messageRoutes = require('./routes/messages');
 const fileRoutes = require('./routes/files');
 const keyExchangeRoutes = require('./routes/keyExchange');
+const preKeyRoutes = require('./routes/preKeys');
 const auditRoutes = require('./routes/audit');
+const keyLogRoutes = require('./routes/keyLog');
+const contactRoutes = require('./routes/contacts');
 const logger = require('./utils/logger');
+const Contact = require('./models/Contact');
+const { backfillKeyLog, getSigningKey, republishTreeHead } = require('./utils/keyLog');
+const { userRoom, attachIo, emitToUser } = require('./utils/realtime');
+const { authenticateSocket } = require('./middleware/auth');
+const { recordReceipt } = require('./utils/receipts');
+const { MESSAGE_MAX_SKEW_MS } = require('./utils/freshness');
+
+// Fail fast without a stable key transparency signing key (see utils/keyLog)
+getSigningKey();
 
 const app = express();
 const server = http.createServer(app);
@@ -37,25 +49,62 @@ app.use('/api/auth', authRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/key-exchange', keyExchangeRoutes);
+app.use('/api/prekeys', preKeyRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/key-log', keyLogRoutes);
+app.use('/api/contacts', contactRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Socket.io for real-time messaging
+// Server clock, so clients can correct drift before stamping messages
+app.get('/api/time', (req, res) => {
+  res.json({ serverTime: new Date().toISOString(), maxSkewMs: MESSAGE_MAX_SKEW_MS });
+});
+
+// Socket.io for real-time messaging; connections must present a valid JWT
+io.use(authenticateSocket);
+attachIo(io);
+
 io.on('connection', (socket) => {
-  logger.info('Client connected', { socketId: socket.id });
+  const userId = socket.userId.toString();
+  socket.join(userRoom(userId));
+  logger.info('Client connected', { socketId: socket.id, userId });
 
   socket.on('disconnect', () => {
-    logger.info('Client disconnected', { socketId: socket.id });
+    logger.info('Client disconnected', { socketId: socket.id, userId });
   });
 
-  // Handle encrypted message delivery
+  // Relay encrypted payloads to the recipient's devices only; the sender is
+  // the authenticated user, never a client-supplied field
   socket.on('encrypted-message', async (data) => {
-    // Broadcast to recipient (in production, verify authentication)
-    socket.broadcast.emit('encrypted-message', data);
+    if (!data || !mongoose.Types.ObjectId.isValid(data.recipientId)) {
+      logger.warn('Dropped socket message without a valid recipient', { userId });
+      return;
+    }
+    try {
+      if (await Contact.isBlocked(data.recipientId, userId)) {
+        logger.warn('Dropped socket message to blocking user', { userId, recipientId: data.recipientId });
+        return;
+      }
+      emitToUser(data.recipientId, 'encrypted-message', { ...data, senderId: userId });
+    } catch (error) {
+      logger.error('Socket relay error:', error);
+    }
+  });
+
+  // Delivered/read receipt from a message's receiver; ack(result) is optional
+  socket.on('message:receipt', async (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const result = await recordReceipt(userId, data?.messageId, data?.type);
+      respond(result.error ? { error: result.error } : { ok: true });
+    } catch (error) {
+      logger.error('Socket receipt error:', error);
+      respond({ error: 'Failed to record receipt' });
+    }
   });
 });
 
@@ -66,6 +115,20 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/e2ee_mess
 })
 .then(() => {
   logger.info('MongoDB connected successfully');
+  return Contact.backfillLegacyBlocks()
+    .then((migrated) => {
+      if (migrated > 0) {
+        logger.info('Migrated legacy blocked users to contacts', { users: migrated });
+      }
+    })
+    .catch((err) => {
+      logger.error('Legacy block migration error:', err);
+    })
+    .then(backfillKeyLog)
+    .then(republishTreeHead)
+    .catch((err) => {
+      logger.error('Key log backfill error:', err);
+    });
 })
 .catch((err) => {
   logger.error('MongoDB connection error:', err);
@@ -3,6 +3,13 @@ const User = require('../models/User');
 const logger = require('../utils/logger');
 const AuditLog = require('../models/AuditLog');
 
+// Resolve a JWT to its user; throws if the token is invalid or expired,
+// resolves null if the user no longer exists
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  return await User.findById(decoded.userId);
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -18,8 +25,7 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
+    const user = await verifyToken(token);
 
     if (!user) {
       await AuditLog.create({
@@ -46,5 +52,44 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+// Socket.IO middleware: same checks as authenticateToken, with the token
+// passed as auth.token in the handshake (or a Bearer Authorization header)
+const authenticateSocket = async (socket, next) => {
+  const ipAddress = socket.handshake.address;
+  const reject = async (details) => {
+    logger.warn('Unauthenticated socket connection rejected', { ipAddress, ...details });
+    try {
+      await AuditLog.create({
+        eventType: 'AUTH_FAILURE',
+        ipAddress,
+        details: { channel: 'socket', ...details },
+        severity: 'WARNING'
+      });
+    } catch (error) {
+      logger.error('Socket authentication audit error:', error);
+    }
+    next(new Error('Authentication required'));
+  };
+
+  try {
+    const authHeader = socket.handshake.headers['authorization'];
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return await reject({ reason: 'No token provided' });
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return await reject({ reason: 'User not found' });
+    }
+
+    socket.user = user;
+    socket.userId = user._id;
+    next();
+  } catch (error) {
+    await reject({ error: error.message });
+  }
+};
 
+module.exports = { authenticateToken, authenticateSocket };
@@ -10,9 +10,20 @@ const auditLogSchema = new mongoose.Schema({
       'AUTH_FAILURE',
       'KEY_EXCHANGE_INITIATED',
       'KEY_EXCHANGE_COMPLETED',
+      'KEY_EXCHANGE_CONFIRMED',
       'KEY_EXCHANGE_FAILED',
+      'KEY_EXCHANGE_ACCEPTED',
+      'KEY_EXCHANGE_DECLINED',
+      'KEY_EXCHANGE_CANCELLED',
+      'PREKEYS_UPLOADED',
+      'PREKEY_CLAIMED',
+      'KEY_ROTATED',
+      'IDENTITY_KEY_CHANGED',
+      'CONTACT_BLOCKED',
+      'CONTACT_UNBLOCKED',
       'MESSAGE_SENT',
       'MESSAGE_DECRYPTION_FAILED',
+      'MESSAGE_EXPIRED',
       'REPLAY_ATTACK_DETECTED',
       'INVALID_SIGNATURE',
       'FILE_UPLOADED',
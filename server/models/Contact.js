@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One user's view of another user. Each side keeps its own record:
+// pending until the other user accepts (or adds us back), accepted once
+// both are connected, blocked when the owner refuses all contact
+const contactSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'blocked'],
+    default: 'pending'
+  }
+}, {
+  timestamps: true
+});
+
+contactSchema.index({ ownerId: 1, contactId: 1 }, { unique: true });
+
+// Whether ownerId has blocked userId
+contactSchema.statics.isBlocked = async function(ownerId, userId) {
+  return !!(await this.exists({ ownerId, contactId: userId, status: 'blocked' }));
+};
+
+// Mark two users as accepted contacts of each other; existing blocks stay
+contactSchema.statics.connect = async function(userId, otherUserId) {
+  for (const [ownerId, contactId] of [[userId, otherUserId], [otherUserId, userId]]) {
+    await this.updateOne(
+      { ownerId, contactId, status: { $ne: 'blocked' } },
+      { $set: { status: 'accepted' } },
+      { upsert: true }
+    ).catch((error) => {
+      // Duplicate key: a blocked record already exists for this pair
+      if (error.code !== 11000) throw error;
+    });
+  }
+};
+
+// Move blocks kept on the user record (blockedUsers, from before contacts
+// existed) into blocked contact records, then drop the old field. The field
+// is no longer in the User schema, so this goes through the raw collection.
+// Resolves the number of users migrated
+contactSchema.statics.backfillLegacyBlocks = async function() {
+  const users = mongoose.model('User').collection;
+  const legacy = await users
+    .find({ blockedUsers: { $exists: true } }, { projection: { blockedUsers: 1 } })
+    .toArray();
+
+  for (const user of legacy) {
+    for (const contactId of user.blockedUsers || []) {
+      await this.updateOne(
+        { ownerId: user._id, contactId },
+        { $set: { status: 'blocked' } },
+        { upsert: true }
+      );
+    }
+    await users.updateOne({ _id: user._id }, { $unset: { blockedUsers: '' } });
+  }
+
+  return legacy.length;
+};
+
+module.exports = mongoose.model('Contact', contactSchema);
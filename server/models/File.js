@@ -24,6 +24,16 @@ const fileSchema = new mongoose.Schema({
     authTag: String,
     chunkIndex: Number
   }],
+  // Canonical chunk header version (AES-GCM additional data) and the random
+  // file nonce it includes; null for files uploaded before it existed
+  protocolVersion: {
+    type: String,
+    default: null
+  },
+  nonce: {
+    type: String,
+    default: null
+  },
   senderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
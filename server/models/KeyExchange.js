@@ -13,6 +13,11 @@ const keyExchangeSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Handshake protocol version (part of the signed transcript)
+  protocolVersion: {
+    type: String,
+    required: true
+  },
   // ECDH public key exchange
   initiatorPublicKey: {
     type: String,
@@ -22,30 +27,73 @@ const keyExchangeSchema = new mongoose.Schema({
     type: String,
     default: null
   },
-  // Digital signatures for authenticity
-  initiatorSignature: {
+  // Fresh per-exchange nonces (part of the signed transcript)
+  initiatorNonce: {
     type: String,
     required: true
   },
+  responderNonce: {
+    type: String,
+    default: null
+  },
+  // Prekey mode: which of the responder's published prekeys were used
+  // (responderPublicKey then holds the signed prekey)
+  mode: {
+    type: String,
+    enum: ['interactive', 'prekey'],
+    default: 'interactive'
+  },
+  signedPreKeyId: {
+    type: Number,
+    default: null
+  },
+  oneTimePreKeyId: {
+    type: Number,
+    default: null
+  },
+  oneTimePreKey: {
+    type: String,
+    default: null
+  },
+  // Digital signatures over the handshake transcript for authenticity.
+  // The initiator signs last, once the responder's key and nonce are known;
+  // in prekey mode the responder signs when it comes online and confirms
+  initiatorSignature: {
+    type: String,
+    default: null
+  },
   responderSignature: {
     type: String,
     default: null
   },
-  // Key confirmation
-  keyConfirmation: {
+  // Key confirmation (HMAC over the exchange transcript, one per party)
+  initiatorConfirmation: {
     type: String,
     default: null
   },
+  responderConfirmation: {
+    type: String,
+    default: null
+  },
+  // pending -> completed (responder answered) -> confirmed (both confirmations in);
+  // declined by the responder or cancelled by the initiator before confirmation
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'confirmed', 'failed', 'declined', 'cancelled'],
     default: 'pending'
   },
+  // Set when the responder accepts the chat request; the responder cannot
+  // respond or confirm before that
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now,
     index: true
   },
+  // Prekey-mode exchanges are given longer (see routes/keyExchange.js)
   expiresAt: {
     type: Date,
     default: () => new Date(Date.now() + 5 * 60 * 1000) // 5 minutes
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Retired identity keys. Each entry records the window in which the key was
+// the user's registered key and the rotation statement, signed by this key
+// and by its successor, that handed over to the next key version
+const keyHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  keyVersion: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  keyAlgorithm: {
+    type: String,
+    enum: ['RSA', 'ECC'],
+    required: true
+  },
+  keySize: {
+    type: Number,
+    required: true
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  rotation: {
+    // Signed statement fields (see server/utils/keyRotation.js)
+    nextPublicKey: {
+      type: String,
+      required: true
+    },
+    nextKeyAlgorithm: {
+      type: String,
+      enum: ['RSA', 'ECC'],
+      required: true
+    },
+    nextKeySize: {
+      type: Number,
+      required: true
+    },
+    timestamp: {
+      type: String,
+      required: true
+    },
+    // Signature by this (old) key
+    signature: {
+      type: String,
+      required: true
+    },
+    // Proof of possession by the new key
+    nextKeySignature: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['routine', 'compromise'],
+      default: 'routine'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+keyHistorySchema.index({ userId: 1, keyVersion: 1 }, { unique: true });
+
+module.exports = mongoose.model('KeyHistory', keyHistorySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Append-only key transparency log: one leaf per registered or rotated
+// identity key. Entries are never updated or removed
+const keyLogEntrySchema = new mongoose.Schema({
+  // Position of the leaf in the Merkle tree (0-based, gapless)
+  index: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 0
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  keyVersion: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  keyAlgorithm: {
+    type: String,
+    enum: ['RSA', 'ECC'],
+    required: true
+  },
+  keySize: {
+    type: Number,
+    required: true
+  },
+  // ISO timestamp included in the leaf data
+  loggedAt: {
+    type: String,
+    required: true
+  },
+  // Base64 RFC 6962 leaf hash of the canonical leaf data
+  leafHash: {
+    type: String,
+    required: true
+  }
+});
+
+keyLogEntrySchema.index({ userId: 1, keyVersion: 1 }, { unique: true });
+
+module.exports = mongoose.model('KeyLogEntry', keyLogEntrySchema);
@@ -26,18 +26,33 @@ const messageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Double Ratchet header (sent in the clear so the receiver can pick the
+  // right message key): sender's current ratchet public key, length of its
+  // previous sending chain and this message's number in the current chain
+  ratchetHeader: {
+    publicKey: { type: String },
+    previousChainLength: { type: Number, min: 0 },
+    messageNumber: { type: Number, min: 0 }
+  },
   // Metadata for replay protection
   nonce: {
     type: String,
     required: true,
     unique: true
   },
+  // Server receive time, used for ordering
   timestamp: {
     type: Date,
     required: true,
     default: Date.now,
     index: true
   },
+  // Client send time, also signed inside the encrypted envelope (null for
+  // messages sent before it was required)
+  sentAt: {
+    type: Date,
+    default: null
+  },
   sequenceNumber: {
     type: Number,
     required: true
@@ -47,6 +62,32 @@ const messageSchema = new mongoose.Schema({
     enum: ['text', 'file'],
     default: 'text'
   },
+  // Version of the canonical header bound into the ciphertext as AES-GCM
+  // additional data (null for messages sent before it existed)
+  protocolVersion: {
+    type: String,
+    default: null
+  },
+  // Optional sender signature (identity key version signatureKeyVersion)
+  // over the canonical header and a hash of the encrypted envelope
+  signature: {
+    type: String,
+    default: null
+  },
+  signatureKeyVersion: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Receipts reported by the receiver's client (read implies delivered)
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
   // For file messages
   fileId: {
     type: mongoose.Schema.Types.ObjectId,
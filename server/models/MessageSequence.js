@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Message = require('./Message');
+
+// Next expected sequence number for messages from senderId to receiverId.
+// Numbers may skip ahead (the receiver reports the gap) but never go back
+const messageSequenceSchema = new mongoose.Schema({
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receiverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  nextSequence: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+messageSequenceSchema.index({ senderId: 1, receiverId: 1 }, { unique: true });
+
+// Counter for a pair, seeded from the highest number already stored for
+// conversations that predate enforcement
+messageSequenceSchema.statics.ensure = async function(senderId, receiverId) {
+  const existing = await this.findOne({ senderId, receiverId });
+  if (existing) {
+    return existing;
+  }
+
+  const last = await Message.findOne({ senderId, receiverId })
+    .sort({ sequenceNumber: -1 })
+    .select('sequenceNumber');
+
+  try {
+    return await this.findOneAndUpdate(
+      { senderId, receiverId },
+      { $setOnInsert: { nextSequence: last ? last.sequenceNumber + 1 : 0 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) throw error;
+    return await this.findOne({ senderId, receiverId });
+  }
+};
+
+// Atomically take sequenceNumber if it is not behind the counter; resolves
+// { accepted, expected } where expected is the counter after the attempt
+messageSequenceSchema.statics.claim = async function(senderId, receiverId, sequenceNumber) {
+  await this.ensure(senderId, receiverId);
+
+  const updated = await this.findOneAndUpdate(
+    { senderId, receiverId, nextSequence: { $lte: sequenceNumber } },
+    { $set: { nextSequence: sequenceNumber + 1 } },
+    { new: true }
+  );
+  if (updated) {
+    return { accepted: true, expected: updated.nextSequence };
+  }
+
+  const current = await this.findOne({ senderId, receiverId });
+  return { accepted: false, expected: current.nextSequence };
+};
+
+// Undo a claim whose message was not stored, unless a later one followed
+messageSequenceSchema.statics.release = async function(senderId, receiverId, sequenceNumber) {
+  await this.updateOne(
+    { senderId, receiverId, nextSequence: sequenceNumber + 1 },
+    { $set: { nextSequence: sequenceNumber } }
+  );
+};
+
+module.exports = mongoose.model('MessageSequence', messageSequenceSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Public prekeys published by a user for asynchronous (X3DH-style) key exchange.
+// Private halves stay on the user's device
+const preKeySchema = new mongoose.Schema({
+  keyId: {
+    type: Number,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const preKeyBundleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Medium-term prekey, signed with the user's identity key
+  signedPreKey: {
+    keyId: {
+      type: Number,
+      required: true
+    },
+    publicKey: {
+      type: String,
+      required: true
+    },
+    signature: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  // Each one-time prekey is handed out to at most one initiator
+  oneTimePreKeys: {
+    type: [preKeySchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PreKeyBundle', preKeyBundleSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How far a user has read their conversation with a peer; messages from
+// the peer timestamped after lastReadAt count as unread
+const readStateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  peerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+readStateSchema.index({ userId: 1, peerId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadState', readStateSchema);
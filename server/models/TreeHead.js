@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Signed tree heads published by the key transparency log
+const treeHeadSchema = new mongoose.Schema({
+  treeSize: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  // Base64 Merkle root over the first treeSize leaves
+  rootHash: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: String,
+    required: true
+  },
+  // Log signing key signature over the canonical tree head
+  signature: {
+    type: String,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('TreeHead', treeHeadSchema);
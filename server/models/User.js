@@ -28,6 +28,26 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 2048
   },
+  // Incremented on every identity key rotation (see KeyHistory)
+  keyVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // When the current key was registered or rotated in (createdAt for older accounts)
+  keyValidFrom: {
+    type: Date
+  },
+  // Privacy: whether senders are told when this user has read their messages
+  readReceipts: {
+    type: Boolean,
+    default: true
+  },
+  // Sign every outgoing message with the identity key (provable authorship)
+  signMessages: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
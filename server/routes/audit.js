@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const AuditLog = require('../models/AuditLog');
 const logger = require('../utils/logger');
 const { authenticateToken } = require('../middleware/auth');
@@ -59,5 +60,40 @@ router.get('/security-events', async (req, res) => {
   }
 });
 
+// Client-reported change of a contact's pinned identity key
+router.post('/key-change', async (req, res) => {
+  try {
+    const { contactId, previousFingerprint, fingerprint, action } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(contactId) || !['detected', 'accepted'].includes(action)) {
+      return res.status(400).json({ error: 'Invalid key change report' });
+    }
+
+    await AuditLog.create({
+      eventType: 'IDENTITY_KEY_CHANGED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        contactId,
+        action,
+        previousFingerprint,
+        fingerprint
+      },
+      severity: action === 'detected' ? 'WARNING' : 'INFO'
+    });
+
+    logger.warn('Contact identity key change reported', {
+      userId: req.userId,
+      contactId,
+      action
+    });
+
+    res.json({ message: 'Key change logged' });
+  } catch (error) {
+    logger.error('Log key change error:', error);
+    res.status(500).json({ error: 'Failed to log key change' });
+  }
+});
+
 module.exports = router;
 
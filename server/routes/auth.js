@@ -2,11 +2,46 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const KeyHistory = require('../models/KeyHistory');
+const PreKeyBundle = require('../models/PreKeyBundle');
 const AuditLog = require('../models/AuditLog');
 const logger = require('../utils/logger');
+const { verifySignature } = require('../utils/signature');
+const { buildKeyRotationStatement } = require('../utils/keyRotation');
+const { appendKey, getInclusionProofs } = require('../utils/keyLog');
+const { authenticateToken } = require('../middleware/auth');
 // Router for authentication-related endpoints
 const router = express.Router();
 
+// Maximum clock skew accepted for a rotation statement's timestamp
+const ROTATION_MAX_SKEW_MS = 5 * 60 * 1000;
+const KEY_ALGORITHMS = ['RSA', 'ECC'];
+const ROTATION_REASONS = ['routine', 'compromise'];
+// Boolean settings a user can change with PUT /settings
+const USER_SETTINGS = ['readReceipts', 'signMessages'];
+
+// A failed append is caught up by the key log backfill on the next start;
+// until then clients cannot verify the key and refuse it
+const appendToKeyLog = async (user) => {
+  try {
+    await appendKey(user);
+  } catch (error) {
+    logger.error('Key transparency append error:', error);
+  }
+};
+
+// Key log inclusion proof for each user's current key, keyed by user id
+// ({ treeHead, inclusion }; inclusion is null for keys not yet logged)
+const getTransparency = async (users) => {
+  const { treeHead, proofs } = await getInclusionProofs(users);
+  const transparency = {};
+  users.forEach((user) => {
+    const id = user._id.toString();
+    transparency[id] = { treeHead, inclusion: proofs[id] || null };
+  });
+  return transparency;
+};
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -43,10 +78,12 @@ router.post('/register', async (req, res) => {
       passwordHash,
       publicKey,
       keyAlgorithm: keyAlgorithm || 'RSA',
-      keySize: keySize || 2048
+      keySize: keySize || 2048,
+      keyValidFrom: new Date()
     });
 
     await user.save();
+    await appendToKeyLog(user);
 
     // Generate JWT token
     const token = jwt.sign(
@@ -71,7 +108,10 @@ router.post('/register', async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        publicKey: user.publicKey
+        publicKey: user.publicKey,
+        keyVersion: user.keyVersion || 1,
+        readReceipts: user.readReceipts,
+        signMessages: user.signMessages
       }
     });
   } catch (error) {
@@ -117,6 +157,7 @@ router.post('/login', async (req, res) => {
     // Update last login
     user.lastLogin = new Date();
     await user.save();
+    await appendToKeyLog(user);
 
     // Generate JWT token
     const token = jwt.sign(
@@ -141,7 +182,10 @@ router.post('/login', async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        publicKey: user.publicKey
+        publicKey: user.publicKey,
+        keyVersion: user.keyVersion || 1,
+        readReceipts: user.readReceipts,
+        signMessages: user.signMessages
       }
     });
   } catch (error) {
@@ -150,14 +194,193 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Get user by ID (for public key lookup)
+// Update the current user's privacy and messaging settings; only the
+// settings present in the body change
+router.put('/settings', authenticateToken, async (req, res) => {
+  try {
+    const updates = {};
+    for (const setting of USER_SETTINGS) {
+      if (req.body[setting] === undefined) {
+        continue;
+      }
+      if (typeof req.body[setting] !== 'boolean') {
+        return res.status(400).json({ error: `${setting} must be a boolean` });
+      }
+      updates[setting] = req.body[setting];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No settings to update' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.userId, { $set: updates }, { new: true });
+
+    logger.info('User settings updated', { userId: req.userId, ...updates });
+
+    res.json({ readReceipts: user.readReceipts, signMessages: user.signMessages });
+  } catch (error) {
+    logger.error('Update settings error:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// Rotate the identity key. The new key must be vouched for by the current
+// key and prove possession by signing the same rotation statement
+router.post('/keys/rotate', authenticateToken, async (req, res) => {
+  try {
+    const { publicKey, keyAlgorithm, keySize, timestamp, signature, newKeySignature, reason = 'routine' } = req.body;
+
+    if (!publicKey || !timestamp || !signature || !newKeySignature) {
+      return res.status(400).json({ error: 'publicKey, timestamp, signature, and newKeySignature are required' });
+    }
+
+    if (!KEY_ALGORITHMS.includes(keyAlgorithm) || !Number.isInteger(keySize)) {
+      return res.status(400).json({ error: 'Invalid key algorithm or size' });
+    }
+
+    if (!ROTATION_REASONS.includes(reason)) {
+      return res.status(400).json({ error: 'Invalid rotation reason' });
+    }
+
+    const signedAt = Date.parse(timestamp);
+    if (Number.isNaN(signedAt) || Math.abs(Date.now() - signedAt) > ROTATION_MAX_SKEW_MS) {
+      return res.status(400).json({ error: 'Rotation statement timestamp is outside the allowed window' });
+    }
+
+    const user = req.user;
+    if (publicKey === user.publicKey) {
+      return res.status(400).json({ error: 'New key must differ from the current key' });
+    }
+
+    const statement = buildKeyRotationStatement({
+      userId: user._id,
+      keyVersion: user.keyVersion,
+      publicKey: user.publicKey,
+      nextPublicKey: publicKey,
+      nextKeyAlgorithm: keyAlgorithm,
+      nextKeySize: keySize,
+      timestamp
+    });
+
+    const validOld = verifySignature(statement, signature, user.publicKey, user.keyAlgorithm);
+    const validNew = verifySignature(statement, newKeySignature, publicKey, keyAlgorithm);
+    if (!validOld || !validNew) {
+      await AuditLog.create({
+        eventType: 'INVALID_SIGNATURE',
+        userId: user._id,
+        ipAddress: req.ip,
+        details: {
+          stage: 'key-rotation',
+          keyVersion: user.keyVersion,
+          invalidSignature: validOld ? 'new-key' : 'current-key'
+        },
+        severity: 'CRITICAL'
+      });
+      logger.warn('Invalid key rotation signature', { userId: user._id });
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    // Only rotate away from the exact key that signed the statement
+    const rotatedAt = new Date();
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, publicKey: user.publicKey },
+      {
+        $set: {
+          publicKey,
+          keyAlgorithm,
+          keySize,
+          keyVersion: user.keyVersion + 1,
+          keyValidFrom: rotatedAt
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Identity key changed concurrently; please retry' });
+    }
+
+    await KeyHistory.create({
+      userId: user._id,
+      keyVersion: user.keyVersion,
+      publicKey: user.publicKey,
+      keyAlgorithm: user.keyAlgorithm,
+      keySize: user.keySize,
+      validFrom: user.keyValidFrom || user.createdAt,
+      validUntil: rotatedAt,
+      rotation: {
+        nextPublicKey: publicKey,
+        nextKeyAlgorithm: keyAlgorithm,
+        nextKeySize: keySize,
+        timestamp,
+        signature,
+        nextKeySignature: newKeySignature,
+        reason
+      }
+    });
+
+    await appendToKeyLog(updated);
+
+    // Signed prekeys were vouched for by the old key; the client uploads a new bundle
+    await PreKeyBundle.deleteOne({ userId: user._id });
+
+    await AuditLog.create({
+      eventType: 'KEY_ROTATED',
+      userId: user._id,
+      ipAddress: req.ip,
+      details: {
+        previousKeyVersion: user.keyVersion,
+        keyVersion: updated.keyVersion,
+        keyAlgorithm,
+        reason
+      },
+      severity: reason === 'compromise' ? 'WARNING' : 'INFO'
+    });
+
+    logger.info('Identity key rotated', { userId: user._id, keyVersion: updated.keyVersion, reason });
+
+    res.json({
+      message: 'Identity key rotated',
+      user: {
+        id: updated._id,
+        username: updated.username,
+        publicKey: updated.publicKey,
+        keyVersion: updated.keyVersion
+      }
+    });
+  } catch (error) {
+    logger.error('Key rotation error:', error);
+    res.status(500).json({ error: 'Key rotation failed' });
+  }
+});
+
+// Get user by ID (for public key lookup), with the chain of rotation
+// statements leading from the first registered key to the current one
 router.get('/user/:userId', async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId).select('username publicKey keyAlgorithm keySize');
+    const user = await User.findById(req.params.userId)
+      .select('username publicKey keyAlgorithm keySize keyVersion keyValidFrom createdAt')
+      .lean();
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json(user);
+
+    const rotationChain = await KeyHistory.find({ userId: user._id })
+      .sort({ keyVersion: 1 })
+      .select('-_id keyVersion publicKey keyAlgorithm keySize validFrom validUntil rotation')
+      .lean();
+
+    res.json({
+      _id: user._id,
+      username: user.username,
+      publicKey: user.publicKey,
+      keyAlgorithm: user.keyAlgorithm,
+      keySize: user.keySize,
+      keyVersion: user.keyVersion || 1,
+      keyValidFrom: user.keyValidFrom || user.createdAt,
+      rotationChain,
+      transparency: await getTransparency([user]).then((proofs) => proofs[user._id.toString()])
+    });
   } catch (error) {
     logger.error('Get user error:', error);
     res.status(500).json({ error: 'Failed to fetch user' });
@@ -174,9 +397,14 @@ router.get('/users/search', async (req, res) => {
 
     const users = await User.find({
       username: { $regex: q, $options: 'i' }
-    }).select('username publicKey keyAlgorithm').limit(10);
+    }).select('username publicKey keyAlgorithm keySize keyVersion').limit(10).lean();
 
-    res.json(users);
+    const transparency = users.length > 0 ? await getTransparency(users) : {};
+    res.json(users.map((user) => ({
+      ...user,
+      keyVersion: user.keyVersion || 1,
+      transparency: transparency[user._id.toString()]
+    })));
   } catch (error) {
     logger.error('User search error:', error);
     res.status(500).json({ error: 'Search failed' });
@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const CONTACT_STATUSES = Contact.schema.path('status').enumValues;
+
+// Validate the :contactId parameter; sends the error response and returns
+// false if it is not usable
+const checkContactId = (req, res) => {
+  const { contactId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(contactId)) {
+    res.status(400).json({ error: 'Invalid user ID' });
+    return false;
+  }
+
+  if (contactId === req.userId.toString()) {
+    res.status(400).json({ error: 'You cannot be your own contact' });
+    return false;
+  }
+
+  return true;
+};
+
+// List the current user's contacts, optionally filtered by status
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { ownerId: req.userId };
+    if (status !== undefined) {
+      // Only a plain status string, never an object that Mongo reads as an operator
+      if (!CONTACT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${CONTACT_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+
+    const contacts = await Contact.find(query)
+      .sort({ updatedAt: -1 })
+      .populate('contactId', 'username keyAlgorithm keySize');
+
+    // Drop contacts whose account no longer exists
+    res.json(contacts.filter((contact) => contact.contactId));
+  } catch (error) {
+    logger.error('Get contacts error:', error);
+    res.status(500).json({ error: 'Failed to fetch contacts' });
+  }
+});
+
+// Add a contact; accepted right away if they already added us
+router.post('/:contactId', async (req, res) => {
+  try {
+    if (!checkContactId(req, res)) {
+      return;
+    }
+    const { contactId } = req.params;
+
+    const other = await User.findById(contactId).select('_id');
+    if (!other) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const existing = await Contact.findOne({ ownerId: req.userId, contactId });
+    if (existing?.status === 'blocked') {
+      return res.status(409).json({ error: 'User is blocked; unblock them first' });
+    }
+
+    const reverse = await Contact.findOne({ ownerId: contactId, contactId: req.userId });
+    if (reverse && reverse.status !== 'blocked') {
+      await Contact.connect(req.userId, contactId);
+    } else if (!existing) {
+      await Contact.create({ ownerId: req.userId, contactId });
+    }
+
+    const contact = await Contact.findOne({ ownerId: req.userId, contactId })
+      .populate('contactId', 'username keyAlgorithm keySize');
+
+    logger.info('Contact added', { userId: req.userId, contactId, status: contact.status });
+
+    res.status(existing ? 200 : 201).json(contact);
+  } catch (error) {
+    logger.error('Add contact error:', error);
+    res.status(500).json({ error: 'Failed to add contact' });
+  }
+});
+
+// Block a user: they can no longer start key exchanges, send messages or
+// upload files to the current user
+router.post('/:contactId/block', async (req, res) => {
+  try {
+    if (!checkContactId(req, res)) {
+      return;
+    }
+    const { contactId } = req.params;
+
+    const other = await User.findById(contactId).select('_id');
+    if (!other) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const contact = await Contact.findOneAndUpdate(
+      { ownerId: req.userId, contactId },
+      { $set: { status: 'blocked' } },
+      { upsert: true, new: true }
+    ).populate('contactId', 'username keyAlgorithm keySize');
+
+    await AuditLog.create({
+      eventType: 'CONTACT_BLOCKED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: { contactId },
+      severity: 'INFO'
+    });
+
+    logger.info('Contact blocked', { userId: req.userId, contactId });
+
+    res.json(contact);
+  } catch (error) {
+    logger.error('Block contact error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user; they go back to being a stranger
+router.post('/:contactId/unblock', async (req, res) => {
+  try {
+    if (!checkContactId(req, res)) {
+      return;
+    }
+    const { contactId } = req.params;
+
+    const result = await Contact.deleteOne({ ownerId: req.userId, contactId, status: 'blocked' });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+
+    await AuditLog.create({
+      eventType: 'CONTACT_UNBLOCKED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: { contactId },
+      severity: 'INFO'
+    });
+
+    logger.info('Contact unblocked', { userId: req.userId, contactId });
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    logger.error('Unblock contact error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+// Remove a contact (blocked users must be unblocked instead)
+router.delete('/:contactId', async (req, res) => {
+  try {
+    if (!checkContactId(req, res)) {
+      return;
+    }
+    const { contactId } = req.params;
+
+    const result = await Contact.deleteOne({ ownerId: req.userId, contactId, status: { $ne: 'blocked' } });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ message: 'Contact removed' });
+  } catch (error) {
+    logger.error('Remove contact error:', error);
+    res.status(500).json({ error: 'Failed to remove contact' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,16 @@
 const express = require('express');
 const multer = require('multer');
 const File = require('../models/File');
+const Contact = require('../models/Contact');
 const AuditLog = require('../models/AuditLog');
 const logger = require('../utils/logger');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Canonical chunk header versions clients may bind into the ciphertext
+const FILE_PROTOCOL_VERSIONS = ['e2ee-file-v1'];
+
 // All routes require authentication
 router.use(authenticateToken);
 
@@ -21,12 +25,21 @@ const upload = multer({
 // Upload encrypted file
 router.post('/upload', upload.single('file'), async (req, res) => {
   try {
-    const { receiverId, filename, mimeType, originalSize, chunks } = req.body;
+    const { receiverId, filename, mimeType, originalSize, chunks, protocolVersion, nonce } = req.body;
 
     if (!receiverId || !filename || !chunks) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (await Contact.isBlocked(receiverId, req.userId)) {
+      logger.warn('File upload to blocking user rejected', { senderId: req.userId, receiverId });
+      return res.status(403).json({ error: 'This user is not accepting files from you' });
+    }
+
+    if (protocolVersion && (!FILE_PROTOCOL_VERSIONS.includes(protocolVersion) || !nonce)) {
+      return res.status(400).json({ error: 'Unsupported file protocol version or missing nonce' });
+    }
+
     // Parse chunks (should be array of encrypted chunks)
     let parsedChunks;
     try {
@@ -57,6 +70,8 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         authTag: chunk.authTag,
         chunkIndex: chunk.chunkIndex !== undefined ? chunk.chunkIndex : index
       })),
+      protocolVersion: protocolVersion || null,
+      nonce: protocolVersion ? nonce : null,
       senderId: req.userId,
       receiverId
     });
@@ -137,6 +152,10 @@ router.get('/:fileId', async (req, res) => {
       filename: file.filename,
       mimeType: file.mimeType,
       originalSize: file.originalSize,
+      senderId: file.senderId,
+      receiverId: file.receiverId,
+      protocolVersion: file.protocolVersion,
+      nonce: file.nonce,
       chunks: file.chunks
     });
   } catch (error) {
@@ -1,47 +1,154 @@
 const express = require('express');
 const KeyExchange = require('../models/KeyExchange');
+const PreKeyBundle = require('../models/PreKeyBundle');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
 const AuditLog = require('../models/AuditLog');
 const logger = require('../utils/logger');
+const { verifySignature } = require('../utils/signature');
+const {
+  PREKEY_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  buildHandshakeTranscript
+} = require('../utils/handshake');
 const { authenticateToken } = require('../middleware/auth');
+const { emitToUser } = require('../utils/realtime');
 
 const router = express.Router();
 
+// Prekey-mode exchanges wait for an offline responder, so they live longer
+const PREKEY_EXCHANGE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
 // All routes require authentication
 router.use(authenticateToken);
 
+// Check a transcript signature against the caller's registered public key
+const isValidHandshakeSignature = (keyExchange, role, signature, user) => {
+  const transcript = buildHandshakeTranscript(keyExchange);
+  return verifySignature(`${role}|${transcript}`, signature, user.publicKey, user.keyAlgorithm);
+};
+
+const rejectInvalidSignature = async (req, res, stage, keyExchangeId) => {
+  await AuditLog.create({
+    eventType: 'INVALID_SIGNATURE',
+    userId: req.userId,
+    ipAddress: req.ip,
+    details: {
+      stage,
+      keyExchangeId
+    },
+    severity: 'CRITICAL'
+  });
+  logger.warn('Invalid key exchange signature', { stage, userId: req.userId, keyExchangeId });
+  return res.status(400).json({ error: 'Invalid signature' });
+};
+
+// Tell the other party their key exchange moved on; clients refetch the
+// exchange itself, so the event only carries identifiers and status
+const notifyKeyExchange = (event, keyExchange, recipientId) => {
+  emitToUser(recipientId, event, {
+    keyExchangeId: keyExchange._id,
+    initiatorId: keyExchange.initiatorId,
+    responderId: keyExchange.responderId,
+    mode: keyExchange.mode,
+    status: keyExchange.status
+  });
+};
+
 // Initiate key exchange
 router.post('/initiate', async (req, res) => {
   try {
-    const { responderId, initiatorPublicKey, initiatorSignature } = req.body;
-
-    if (!responderId || !initiatorPublicKey || !initiatorSignature) {
+    const {
+      responderId,
+      protocolVersion,
+      initiatorPublicKey,
+      initiatorNonce,
+      mode = 'interactive',
+      signedPreKeyId,
+      oneTimePreKeyId,
+      oneTimePreKey
+    } = req.body;
+
+    if (!responderId || !protocolVersion || !initiatorPublicKey || !initiatorNonce) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      return res.status(400).json({ error: 'Unsupported protocol version' });
+    }
+
     // Check if responder exists
-    const responder = await require('../models/User').findById(responderId);
+    const responder = await User.findById(responderId);
     if (!responder) {
       return res.status(404).json({ error: 'Responder not found' });
     }
 
-    // Create key exchange record
+    if (await Contact.isBlocked(responderId, req.userId)) {
+      await AuditLog.create({
+        eventType: 'KEY_EXCHANGE_FAILED',
+        userId: req.userId,
+        ipAddress: req.ip,
+        details: {
+          reason: 'Blocked by responder',
+          responderId
+        },
+        severity: 'WARNING'
+      });
+      return res.status(403).json({ error: 'This user is not accepting chat requests from you' });
+    }
+
+    // Create key exchange record; the initiator signs the transcript later,
+    // once the responder's ephemeral key and nonce are part of it
     const keyExchange = new KeyExchange({
       initiatorId: req.userId,
       responderId,
+      protocolVersion,
       initiatorPublicKey,
-      initiatorSignature,
+      initiatorNonce,
       status: 'pending'
     });
 
+    if (mode === 'prekey') {
+      if (protocolVersion !== PREKEY_PROTOCOL_VERSION || !Number.isInteger(signedPreKeyId)) {
+        return res.status(400).json({ error: 'Invalid prekey exchange' });
+      }
+
+      // The signed prekey must still be the one the responder publishes
+      const bundle = await PreKeyBundle.findOne({ userId: responderId });
+      if (!bundle || bundle.signedPreKey.keyId !== signedPreKeyId) {
+        return res.status(409).json({ error: 'Prekey bundle has changed, claim it again' });
+      }
+
+      // Responder's key material is already known, so the exchange starts out
+      // completed and only awaits signatures and confirmations
+      keyExchange.mode = 'prekey';
+      keyExchange.responderPublicKey = bundle.signedPreKey.publicKey;
+      keyExchange.signedPreKeyId = signedPreKeyId;
+      keyExchange.oneTimePreKeyId = Number.isInteger(oneTimePreKeyId) ? oneTimePreKeyId : null;
+      keyExchange.oneTimePreKey = keyExchange.oneTimePreKeyId !== null ? oneTimePreKey : null;
+      keyExchange.status = 'completed';
+      keyExchange.expiresAt = new Date(Date.now() + PREKEY_EXCHANGE_TTL_MS);
+    } else if (protocolVersion === PREKEY_PROTOCOL_VERSION) {
+      return res.status(400).json({ error: 'Unsupported protocol version' });
+    }
+
     await keyExchange.save();
 
+    // The responder becomes a pending contact until they accept
+    await Contact.updateOne(
+      { ownerId: req.userId, contactId: responderId },
+      { $setOnInsert: { status: 'pending' } },
+      { upsert: true }
+    );
+
     await AuditLog.create({
       eventType: 'KEY_EXCHANGE_INITIATED',
       userId: req.userId,
       ipAddress: req.ip,
       details: {
         responderId,
-        keyExchangeId: keyExchange._id
+        keyExchangeId: keyExchange._id,
+        mode: keyExchange.mode
       },
       severity: 'INFO'
     });
@@ -49,9 +156,12 @@ router.post('/initiate', async (req, res) => {
     logger.info('Key exchange initiated', {
       initiatorId: req.userId,
       responderId,
-      keyExchangeId: keyExchange._id
+      keyExchangeId: keyExchange._id,
+      mode: keyExchange.mode
     });
 
+    notifyKeyExchange('key-exchange:initiated', keyExchange, responderId);
+
     res.status(201).json({
       message: 'Key exchange initiated',
       keyExchangeId: keyExchange._id,
@@ -66,9 +176,9 @@ router.post('/initiate', async (req, res) => {
 // Respond to key exchange
 router.post('/respond', async (req, res) => {
   try {
-    const { keyExchangeId, responderPublicKey, responderSignature } = req.body;
+    const { keyExchangeId, responderPublicKey, responderNonce, responderSignature } = req.body;
 
-    if (!keyExchangeId || !responderPublicKey || !responderSignature) {
+    if (!keyExchangeId || !responderPublicKey || !responderNonce || !responderSignature) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
@@ -92,12 +202,23 @@ router.post('/respond', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    if (keyExchange.status !== 'pending') {
+    if (keyExchange.status !== 'pending' || keyExchange.mode !== 'interactive') {
       return res.status(400).json({ error: 'Key exchange already completed or expired' });
     }
 
-    // Update with responder's public key and signature
+    if (!keyExchange.acceptedAt) {
+      return res.status(403).json({ error: 'Chat request has not been accepted' });
+    }
+
+    // Update with responder's public key and nonce, then verify the
+    // responder's transcript signature against the registered public key
     keyExchange.responderPublicKey = responderPublicKey;
+    keyExchange.responderNonce = responderNonce;
+
+    if (!isValidHandshakeSignature(keyExchange, 'responder', responderSignature, req.user)) {
+      return rejectInvalidSignature(req, res, 'respond', keyExchangeId);
+    }
+
     keyExchange.responderSignature = responderSignature;
     keyExchange.status = 'completed';
 
@@ -120,6 +241,8 @@ router.post('/respond', async (req, res) => {
       responderId: req.userId
     });
 
+    notifyKeyExchange('key-exchange:responded', keyExchange, keyExchange.initiatorId);
+
     res.json({
       message: 'Key exchange completed',
       keyExchange
@@ -133,7 +256,7 @@ router.post('/respond', async (req, res) => {
 // Send key confirmation
 router.post('/confirm', async (req, res) => {
   try {
-    const { keyExchangeId, keyConfirmation } = req.body;
+    const { keyExchangeId, keyConfirmation, signature } = req.body;
 
     if (!keyExchangeId || !keyConfirmation) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -153,12 +276,73 @@ router.post('/confirm', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    keyExchange.keyConfirmation = keyConfirmation;
-    await keyExchange.save();
+    if (keyExchange.status !== 'completed') {
+      return res.status(400).json({ error: 'Key exchange is not awaiting confirmation' });
+    }
+
+    // Prekey exchanges complete without the responder; it confirms only once accepted
+    if (isResponder && !keyExchange.acceptedAt) {
+      return res.status(403).json({ error: 'Chat request has not been accepted' });
+    }
+
+    // A party that has not signed the transcript yet (always the initiator,
+    // and the responder in prekey mode) sends its signature with its confirmation
+    const role = isInitiator ? 'initiator' : 'responder';
+    const update = {};
+    if (!keyExchange[`${role}Signature`]) {
+      if (!signature) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+      if (!isValidHandshakeSignature(keyExchange, role, signature, req.user)) {
+        return rejectInvalidSignature(req, res, 'confirm', keyExchangeId);
+      }
+      update[`${role}Signature`] = signature;
+    }
+
+    // Server cannot check the MAC (it never learns the key); it only relays it
+    const field = `${role}Confirmation`;
+    update[field] = keyConfirmation;
+
+    // Atomic update so concurrent confirmations from both sides cannot race
+    const updated = await KeyExchange.findOneAndUpdate(
+      { _id: keyExchange._id, status: 'completed', [field]: null },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ error: 'Key confirmation already submitted' });
+    }
+
+    if (updated.initiatorConfirmation && updated.responderConfirmation) {
+      updated.status = 'confirmed';
+      await updated.save();
+
+      await AuditLog.create({
+        eventType: 'KEY_EXCHANGE_CONFIRMED',
+        userId: req.userId,
+        ipAddress: req.ip,
+        details: {
+          keyExchangeId: keyExchange._id,
+          initiatorId: keyExchange.initiatorId,
+          responderId: keyExchange.responderId
+        },
+        severity: 'INFO'
+      });
+
+      logger.info('Key exchange confirmed', { keyExchangeId: keyExchange._id });
+    }
+
+    // Sent on each side's confirmation; status tells whether both are in
+    notifyKeyExchange(
+      'key-exchange:confirmed',
+      updated,
+      isInitiator ? updated.responderId : updated.initiatorId
+    );
 
     res.json({
       message: 'Key confirmation received',
-      keyExchange
+      keyExchange: updated
     });
   } catch (error) {
     logger.error('Key confirmation error:', error);
@@ -166,7 +350,268 @@ router.post('/confirm', async (req, res) => {
   }
 });
 
-// Get key exchanges involving current user (pending or recently completed)
+// Load an exchange for a request-flow action by one of its parties.
+// Sends the error response and resolves null if the action is not allowed
+const loadOpenExchange = async (req, res, role) => {
+  const { keyExchangeId } = req.body;
+  if (!keyExchangeId) {
+    res.status(400).json({ error: 'Missing required fields' });
+    return null;
+  }
+
+  const keyExchange = await KeyExchange.findById(keyExchangeId);
+  if (!keyExchange) {
+    res.status(404).json({ error: 'Key exchange not found' });
+    return null;
+  }
+
+  if (keyExchange[`${role}Id`].toString() !== req.userId.toString()) {
+    await AuditLog.create({
+      eventType: 'KEY_EXCHANGE_FAILED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        reason: `Unauthorized ${role}`,
+        keyExchangeId
+      },
+      severity: 'WARNING'
+    });
+    res.status(403).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  if (!['pending', 'completed'].includes(keyExchange.status)) {
+    res.status(400).json({ error: 'Key exchange is no longer open' });
+    return null;
+  }
+
+  return keyExchange;
+};
+
+// Accept a chat request (responder); lets the exchange complete
+router.post('/accept', async (req, res) => {
+  try {
+    const keyExchange = await loadOpenExchange(req, res, 'responder');
+    if (!keyExchange) {
+      return;
+    }
+
+    if (!keyExchange.acceptedAt) {
+      keyExchange.acceptedAt = new Date();
+      await keyExchange.save();
+      await Contact.connect(keyExchange.responderId, keyExchange.initiatorId);
+
+      await AuditLog.create({
+        eventType: 'KEY_EXCHANGE_ACCEPTED',
+        userId: req.userId,
+        ipAddress: req.ip,
+        details: {
+          keyExchangeId: keyExchange._id,
+          initiatorId: keyExchange.initiatorId
+        },
+        severity: 'INFO'
+      });
+
+      logger.info('Chat request accepted', { keyExchangeId: keyExchange._id, responderId: req.userId });
+      notifyKeyExchange('key-exchange:accepted', keyExchange, keyExchange.initiatorId);
+    }
+
+    res.json({
+      message: 'Chat request accepted',
+      keyExchange
+    });
+  } catch (error) {
+    logger.error('Accept key exchange error:', error);
+    res.status(500).json({ error: 'Failed to accept chat request' });
+  }
+});
+
+// Decline a chat request (responder), optionally blocking the initiator
+router.post('/decline', async (req, res) => {
+  try {
+    const { block = false } = req.body;
+
+    const keyExchange = await loadOpenExchange(req, res, 'responder');
+    if (!keyExchange) {
+      return;
+    }
+
+    keyExchange.status = 'declined';
+    await keyExchange.save();
+
+    if (block) {
+      await Contact.updateOne(
+        { ownerId: req.userId, contactId: keyExchange.initiatorId },
+        { $set: { status: 'blocked' } },
+        { upsert: true }
+      );
+    }
+
+    await AuditLog.create({
+      eventType: 'KEY_EXCHANGE_DECLINED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        keyExchangeId: keyExchange._id,
+        initiatorId: keyExchange.initiatorId,
+        blocked: !!block
+      },
+      severity: 'INFO'
+    });
+
+    logger.info('Chat request declined', { keyExchangeId: keyExchange._id, responderId: req.userId, blocked: !!block });
+    notifyKeyExchange('key-exchange:declined', keyExchange, keyExchange.initiatorId);
+
+    res.json({
+      message: block ? 'Chat request declined and user blocked' : 'Chat request declined',
+      keyExchange
+    });
+  } catch (error) {
+    logger.error('Decline key exchange error:', error);
+    res.status(500).json({ error: 'Failed to decline chat request' });
+  }
+});
+
+// Cancel a chat request (initiator) before it is confirmed
+router.post('/cancel', async (req, res) => {
+  try {
+    const keyExchange = await loadOpenExchange(req, res, 'initiator');
+    if (!keyExchange) {
+      return;
+    }
+
+    keyExchange.status = 'cancelled';
+    await keyExchange.save();
+
+    await AuditLog.create({
+      eventType: 'KEY_EXCHANGE_CANCELLED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        keyExchangeId: keyExchange._id,
+        responderId: keyExchange.responderId
+      },
+      severity: 'INFO'
+    });
+
+    logger.info('Chat request cancelled', { keyExchangeId: keyExchange._id, initiatorId: req.userId });
+    notifyKeyExchange('key-exchange:cancelled', keyExchange, keyExchange.responderId);
+
+    res.json({
+      message: 'Chat request cancelled',
+      keyExchange
+    });
+  } catch (error) {
+    logger.error('Cancel key exchange error:', error);
+    res.status(500).json({ error: 'Failed to cancel chat request' });
+  }
+});
+
+// Report a key confirmation that failed verification on the client
+router.post('/confirmation-failure', async (req, res) => {
+  try {
+    const { keyExchangeId, reason } = req.body;
+
+    if (!keyExchangeId) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const keyExchange = await KeyExchange.findById(keyExchangeId);
+
+    if (!keyExchange) {
+      return res.status(404).json({ error: 'Key exchange not found' });
+    }
+
+    const isInitiator = keyExchange.initiatorId.toString() === req.userId.toString();
+    const isResponder = keyExchange.responderId.toString() === req.userId.toString();
+
+    if (!isInitiator && !isResponder) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    // Atomic like /confirm: only an exchange still awaiting confirmation can
+    // fail, so a confirmed session cannot be torn down by either party
+    const failed = await KeyExchange.findOneAndUpdate(
+      { _id: keyExchange._id, status: 'completed' },
+      { $set: { status: 'failed' } },
+      { new: true }
+    );
+
+    if (!failed) {
+      return res.status(409).json({ error: 'Key exchange is not awaiting confirmation' });
+    }
+
+    await AuditLog.create({
+      eventType: 'KEY_EXCHANGE_FAILED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        keyExchangeId: keyExchange._id,
+        reason: reason || 'Key confirmation mismatch'
+      },
+      severity: 'CRITICAL'
+    });
+
+    logger.warn('Key confirmation failure reported', {
+      userId: req.userId,
+      keyExchangeId
+    });
+
+    res.json({ message: 'Key confirmation failure logged' });
+  } catch (error) {
+    logger.error('Log confirmation failure error:', error);
+    res.status(500).json({ error: 'Failed to log confirmation failure' });
+  }
+});
+
+// Report a signature that failed verification on the receiving client
+router.post('/signature-failure', async (req, res) => {
+  try {
+    const { keyExchangeId, reason } = req.body;
+
+    if (!keyExchangeId) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const keyExchange = await KeyExchange.findById(keyExchangeId);
+
+    if (!keyExchange) {
+      return res.status(404).json({ error: 'Key exchange not found' });
+    }
+
+    // Only a party to the exchange can report on it
+    const isInitiator = keyExchange.initiatorId.toString() === req.userId.toString();
+    const isResponder = keyExchange.responderId.toString() === req.userId.toString();
+
+    if (!isInitiator && !isResponder) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    await AuditLog.create({
+      eventType: 'INVALID_SIGNATURE',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        stage: 'client-verification',
+        keyExchangeId,
+        reason: reason || 'Unknown'
+      },
+      severity: 'CRITICAL'
+    });
+
+    logger.warn('Invalid key exchange signature reported', {
+      userId: req.userId,
+      keyExchangeId
+    });
+
+    res.json({ message: 'Signature failure logged' });
+  } catch (error) {
+    logger.error('Log signature failure error:', error);
+    res.status(500).json({ error: 'Failed to log signature failure' });
+  }
+});
+
+// Get key exchanges involving current user (open, recently completed, declined or cancelled)
 router.get('/pending', async (req, res) => {
   try {
     const exchanges = await KeyExchange.find({
@@ -174,7 +619,7 @@ router.get('/pending', async (req, res) => {
         { initiatorId: req.userId },
         { responderId: req.userId }
       ],
-      status: { $in: ['pending', 'completed'] },
+      status: { $in: ['pending', 'completed', 'confirmed', 'declined', 'cancelled'] },
       expiresAt: { $gt: new Date() }
     })
       .sort({ timestamp: -1 })
@@ -0,0 +1,56 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { getLogPublicKey, getLatestTreeHead, getConsistencyProof } = require('../utils/keyLog');
+
+// Public key transparency log endpoints
+const router = express.Router();
+
+// Key that signs tree heads
+router.get('/public-key', (req, res) => {
+  res.json({ algorithm: 'ECDSA-P256-SHA256', publicKey: getLogPublicKey() });
+});
+
+// Latest signed tree head
+router.get('/tree-head', async (req, res) => {
+  try {
+    const treeHead = await getLatestTreeHead();
+    if (!treeHead) {
+      return res.status(404).json({ error: 'Key log is empty' });
+    }
+    res.json(treeHead);
+  } catch (error) {
+    logger.error('Get tree head error:', error);
+    res.status(500).json({ error: 'Failed to fetch tree head' });
+  }
+});
+
+// Proof that the tree of size `from` is a prefix of the tree of size `to`
+router.get('/consistency', async (req, res) => {
+  try {
+    const latest = await getLatestTreeHead();
+    const fromSize = Number(req.query.from);
+    const toSize = req.query.to === undefined ? latest?.treeSize : Number(req.query.to);
+
+    if (
+      !latest ||
+      !Number.isInteger(fromSize) ||
+      !Number.isInteger(toSize) ||
+      fromSize < 1 ||
+      fromSize > toSize ||
+      toSize > latest.treeSize
+    ) {
+      return res.status(400).json({ error: 'Invalid tree sizes' });
+    }
+
+    res.json({
+      fromSize,
+      toSize,
+      proof: await getConsistencyProof(fromSize, toSize)
+    });
+  } catch (error) {
+    logger.error('Consistency proof error:', error);
+    res.status(500).json({ error: 'Failed to build consistency proof' });
+  }
+});
+
+module.exports = router;
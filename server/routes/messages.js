@@ -1,26 +1,120 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
+const Contact = require('../models/Contact');
+const ReadState = require('../models/ReadState');
+const MessageSequence = require('../models/MessageSequence');
+const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const logger = require('../utils/logger');
 const { authenticateToken } = require('../middleware/auth');
+const { emitToUser } = require('../utils/realtime');
+const { recordReceipt } = require('../utils/receipts');
+const { MESSAGE_MAX_SKEW_MS, getSkew, isWithinSkewWindow } = require('../utils/freshness');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
+// Canonical message header versions clients may bind into the ciphertext
+const MESSAGE_PROTOCOL_VERSIONS = ['e2ee-msg-v1'];
+
+const isCounter = (value) => Number.isInteger(value) && value >= 0;
+
+// Page size from a query value: DEFAULT_PAGE_SIZE when missing or not a
+// number, otherwise clamped to 1..MAX_PAGE_SIZE
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit)) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+};
+
+const isValidRatchetHeader = (header) =>
+  typeof header.publicKey === 'string' &&
+  header.publicKey.length > 0 &&
+  isCounter(header.previousChainLength) &&
+  isCounter(header.messageNumber);
+
+// Nonces double as idempotency keys: a stored message is returned when the
+// same sender sends exactly the same ciphertext again (a client retrying
+// after a lost response). Anything else reusing the nonce is a replay
+const findResend = async (senderId, body) => {
+  const existing = await Message.findOne({ nonce: body.nonce });
+  if (!existing) {
+    return { existing: null, resend: false };
+  }
+
+  const resend =
+    existing.senderId.toString() === senderId.toString() &&
+    existing.receiverId.toString() === String(body.receiverId) &&
+    existing.ciphertext === body.ciphertext &&
+    existing.iv === body.iv &&
+    existing.authTag === body.authTag &&
+    existing.sequenceNumber === body.sequenceNumber &&
+    existing.sentAt?.getTime() === new Date(body.sentAt).getTime();
+  return { existing, resend };
+};
+
 // Send encrypted message
 router.post('/send', async (req, res) => {
   try {
-    const { receiverId, ciphertext, iv, authTag, nonce, sequenceNumber, messageType, fileId } = req.body;
+    const {
+      receiverId, ciphertext, iv, authTag, nonce, sentAt, sequenceNumber,
+      messageType, fileId, ratchetHeader, protocolVersion, signature, signatureKeyVersion
+    } = req.body;
 
     // Validation
-    if (!receiverId || !ciphertext || !iv || !authTag || !nonce || sequenceNumber === undefined) {
+    if (!receiverId || !ciphertext || !iv || !authTag || !nonce || !sentAt || sequenceNumber === undefined) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Check for replay attack (nonce must be unique)
-    const existingMessage = await Message.findOne({ nonce });
+    if (!isCounter(sequenceNumber)) {
+      return res.status(400).json({ error: 'Invalid sequence number' });
+    }
+
+    // Send time as signed inside the encrypted envelope; the receiver checks
+    // that both copies match
+    const sentTime = new Date(sentAt);
+    if (isNaN(sentTime.getTime())) {
+      return res.status(400).json({ error: 'Invalid sentAt timestamp' });
+    }
+
+    if (ratchetHeader && !isValidRatchetHeader(ratchetHeader)) {
+      return res.status(400).json({ error: 'Invalid ratchet header' });
+    }
+
+    if (protocolVersion && !MESSAGE_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      return res.status(400).json({ error: 'Unsupported message protocol version' });
+    }
+
+    // Signatures cover the canonical header, so they need a protocol version
+    if (signature && (typeof signature !== 'string' || !protocolVersion ||
+        !Number.isInteger(signatureKeyVersion) || signatureKeyVersion < 1)) {
+      return res.status(400).json({ error: 'Invalid message signature' });
+    }
+
+    if (await Contact.isBlocked(receiverId, req.userId)) {
+      logger.warn('Message to blocking user rejected', { senderId: req.userId, receiverId });
+      return res.status(403).json({ error: 'This user is not accepting messages from you' });
+    }
+
+    // Check for replay attack (nonce must be unique), before freshness so a
+    // late retry of a message that was stored still gets its ID back
+    const { existing: existingMessage, resend } = await findResend(req.userId, req.body);
+    if (resend) {
+      logger.info('Duplicate send acknowledged', { messageId: existingMessage._id, userId: req.userId });
+      return res.status(200).json({
+        message: 'Message already sent',
+        messageId: existingMessage._id,
+        timestamp: existingMessage.timestamp,
+        duplicate: true
+      });
+    }
     if (existingMessage) {
       await AuditLog.create({
         eventType: 'REPLAY_ATTACK_DETECTED',
@@ -36,9 +130,61 @@ router.post('/send', async (req, res) => {
       return res.status(400).json({ error: 'Replay attack detected: duplicate nonce' });
     }
 
-    // Check timestamp (reject messages older than 5 minutes)
+    // Check freshness: stale (or future-dated) messages come from a client
+    // whose clock is off by more than the skew window, or were queued offline
+    // for too long. The nonce is unused, so nothing is being replayed: the
+    // client re-encrypts with a fresh send time and retries on 422
     const messageTimestamp = new Date();
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+    if (!isWithinSkewWindow(sentTime, messageTimestamp.getTime())) {
+      const skewMs = getSkew(sentTime, messageTimestamp.getTime());
+      await AuditLog.create({
+        eventType: 'MESSAGE_EXPIRED',
+        userId: req.userId,
+        ipAddress: req.ip,
+        details: {
+          nonce,
+          sentAt: sentTime,
+          skewMs,
+          maxSkewMs: MESSAGE_MAX_SKEW_MS,
+          reason: 'Send timestamp outside allowed window'
+        },
+        severity: 'WARNING'
+      });
+      logger.warn('Stale message rejected', { nonce, userId: req.userId, skewMs });
+      return res.status(422).json({
+        error: 'Message expired: send timestamp outside allowed window',
+        expired: true,
+        maxSkewMs: MESSAGE_MAX_SKEW_MS
+      });
+    }
+
+    // Sequence numbers per sender and receiver must never go back
+    const sequence = await MessageSequence.claim(req.userId, receiverId, sequenceNumber);
+    if (!sequence.accepted) {
+      await AuditLog.create({
+        eventType: 'REPLAY_ATTACK_DETECTED',
+        userId: req.userId,
+        ipAddress: req.ip,
+        details: {
+          nonce,
+          receiverId,
+          sequenceNumber,
+          expectedSequence: sequence.expected,
+          reason: 'Sequence number regression'
+        },
+        severity: 'CRITICAL'
+      });
+      logger.warn('Sequence number regression rejected', {
+        userId: req.userId,
+        receiverId,
+        sequenceNumber,
+        expectedSequence: sequence.expected
+      });
+      return res.status(409).json({
+        error: 'Replay attack detected: sequence number already used',
+        expectedSequence: sequence.expected
+      });
+    }
 
     // Create message
     const message = new Message({
@@ -48,13 +194,29 @@ router.post('/send', async (req, res) => {
       iv,
       authTag,
       nonce,
+      sentAt: sentTime,
       timestamp: messageTimestamp,
       sequenceNumber,
       messageType: messageType || 'text',
-      fileId: fileId || null
+      protocolVersion: protocolVersion || null,
+      signature: signature || null,
+      signatureKeyVersion: signature ? signatureKeyVersion : null,
+      fileId: fileId || null,
+      ratchetHeader: ratchetHeader
+        ? {
+            publicKey: ratchetHeader.publicKey,
+            previousChainLength: ratchetHeader.previousChainLength,
+            messageNumber: ratchetHeader.messageNumber
+          }
+        : undefined
     });
 
-    await message.save();
+    try {
+      await message.save();
+    } catch (error) {
+      await MessageSequence.release(req.userId, receiverId, sequenceNumber);
+      throw error;
+    }
 
     await AuditLog.create({
       eventType: 'MESSAGE_SENT',
@@ -74,6 +236,13 @@ router.post('/send', async (req, res) => {
       messageId: message._id
     });
 
+    // Push to the recipient's connected devices (same shape as conversation history)
+    await message.populate([
+      { path: 'senderId', select: 'username' },
+      { path: 'receiverId', select: 'username' }
+    ]);
+    emitToUser(receiverId, 'message:new', message);
+
     res.status(201).json({
       message: 'Message sent successfully',
       messageId: message._id,
@@ -98,11 +267,139 @@ router.post('/send', async (req, res) => {
   }
 });
 
+// Next sequence number for messages from the current user to a peer, so a
+// reloaded client continues where it left off
+router.get('/sequence/:peerId', async (req, res) => {
+  try {
+    const { peerId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(peerId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const sequence = await MessageSequence.ensure(req.userId, peerId);
+    res.json({ nextSequence: sequence.nextSequence });
+  } catch (error) {
+    logger.error('Get sequence error:', error);
+    res.status(500).json({ error: 'Failed to fetch sequence number' });
+  }
+});
+
+// Inbox: one entry per peer with the latest message's metadata and the
+// number of messages from the peer not yet read
+router.get('/conversations', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const me = req.userId;
+
+    // Conversations with blocked users are hidden
+    const blocked = await Contact.find({ ownerId: me, status: 'blocked' }).distinct('contactId');
+
+    const conversations = await Message.aggregate([
+      { $match: { $or: [{ senderId: me }, { receiverId: me }] } },
+      { $addFields: { peerId: { $cond: [{ $eq: ['$senderId', me] }, '$receiverId', '$senderId'] } } },
+      { $match: { peerId: { $nin: blocked } } },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$peerId',
+          lastMessageAt: { $first: '$timestamp' },
+          lastMessageType: { $first: '$messageType' },
+          lastMessageFromMe: { $first: { $eq: ['$senderId', me] } }
+        }
+      },
+      { $sort: { lastMessageAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    const peerIds = conversations.map((conversation) => conversation._id);
+    const [peers, readStates] = await Promise.all([
+      User.find({ _id: { $in: peerIds } }).select('username'),
+      ReadState.find({ userId: me, peerId: { $in: peerIds } })
+    ]);
+
+    // Unread: messages from a peer after our read marker (all of them if
+    // the conversation was never opened)
+    const unreadCounts = peerIds.length === 0 ? [] : await Message.aggregate([
+      {
+        $match: {
+          receiverId: me,
+          $or: [
+            { senderId: { $in: peerIds, $nin: readStates.map((state) => state.peerId) } },
+            ...readStates.map((state) => ({ senderId: state.peerId, timestamp: { $gt: state.lastReadAt } }))
+          ]
+        }
+      },
+      { $group: { _id: '$senderId', count: { $sum: 1 } } }
+    ]);
+
+    const peersById = new Map(peers.map((peer) => [peer._id.toString(), peer]));
+    const unreadById = new Map(unreadCounts.map((entry) => [entry._id.toString(), entry.count]));
+
+    await AuditLog.create({
+      eventType: 'METADATA_ACCESS',
+      userId: me,
+      ipAddress: req.ip,
+      details: { action: 'fetch_conversations' },
+      severity: 'INFO'
+    });
+
+    res.json(conversations
+      .filter((conversation) => peersById.has(conversation._id.toString()))
+      .map((conversation) => ({
+        peer: peersById.get(conversation._id.toString()),
+        lastMessageAt: conversation.lastMessageAt,
+        lastMessageType: conversation.lastMessageType,
+        lastMessageFromMe: conversation.lastMessageFromMe,
+        unreadCount: unreadById.get(conversation._id.toString()) || 0
+      })));
+  } catch (error) {
+    logger.error('Get conversations error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Mark a conversation read up to readAt (the newest message the client
+// has shown; defaults to now). The marker never moves backwards
+router.post('/conversations/:peerId/read', async (req, res) => {
+  try {
+    const { peerId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(peerId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const now = new Date();
+    const readAt = req.body.readAt ? new Date(req.body.readAt) : now;
+    if (isNaN(readAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid readAt timestamp' });
+    }
+
+    const readState = await ReadState.findOneAndUpdate(
+      { userId: req.userId, peerId },
+      { $max: { lastReadAt: readAt > now ? now : readAt } },
+      { upsert: true, new: true }
+    );
+
+    // Other sessions of this user refresh their unread counts
+    emitToUser(req.userId, 'conversation:read', {
+      peerId,
+      lastReadAt: readState.lastReadAt
+    });
+
+    res.json({ peerId, lastReadAt: readState.lastReadAt });
+  } catch (error) {
+    logger.error('Mark conversation read error:', error);
+    res.status(500).json({ error: 'Failed to mark conversation read' });
+  }
+});
+
 // Get messages between current user and another user
 router.get('/conversation/:otherUserId', async (req, res) => {
   try {
     const { otherUserId } = req.params;
-    const { limit = 50, before } = req.query;
+    const { before, after } = req.query;
+    const limit = parseLimit(req.query.limit);
 
     const query = {
       $or: [
@@ -111,13 +408,23 @@ router.get('/conversation/:otherUserId', async (req, res) => {
       ]
     };
 
+    if (before && after) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+
     if (before) {
       query.timestamp = { $lt: new Date(before) };
     }
 
+    // Resync cursor: messages at or after the newest one the client has
+    // (inclusive, so same-millisecond messages are not skipped; clients dedupe by _id)
+    if (after) {
+      query.timestamp = { $gte: new Date(after) };
+    }
+
     const messages = await Message.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
+      .sort({ timestamp: after ? 1 : -1 })
+      .limit(limit)
       .populate('senderId', 'username')
       .populate('receiverId', 'username');
 
@@ -126,13 +433,13 @@ router.get('/conversation/:otherUserId', async (req, res) => {
       userId: req.userId,
       ipAddress: req.ip,
       details: {
-        action: 'fetch_conversation',
+        action: after ? 'resync_conversation' : 'fetch_conversation',
         otherUserId
       },
       severity: 'INFO'
     });
 
-    res.json(messages.reverse()); // Return in chronological order
+    res.json(after ? messages : messages.reverse()); // Return in chronological order
   } catch (error) {
     logger.error('Get conversation error:', error);
     res.status(500).json({ error: 'Failed to fetch conversation' });
@@ -167,5 +474,25 @@ router.post('/decryption-failure', async (req, res) => {
   }
 });
 
+// Acknowledge a received message (REST fallback for the socket
+// 'message:receipt' event)
+router.post('/:messageId/receipt', async (req, res) => {
+  try {
+    const result = await recordReceipt(req.userId, req.params.messageId, req.body.type);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      messageId: result.message._id,
+      deliveredAt: result.message.deliveredAt,
+      readAt: result.message.readAt
+    });
+  } catch (error) {
+    logger.error('Message receipt error:', error);
+    res.status(500).json({ error: 'Failed to record receipt' });
+  }
+});
+
 module.exports = router;
 
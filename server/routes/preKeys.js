@@ -0,0 +1,232 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const PreKeyBundle = require('../models/PreKeyBundle');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { verifySignature } = require('../utils/signature');
+const { buildSignedPreKeyData } = require('../utils/handshake');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Limits on how many one-time prekeys a user can publish
+const MAX_BATCH_SIZE = 100;
+const MAX_ONE_TIME_PREKEYS = 200;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const isValidPreKey = (preKey) =>
+  preKey &&
+  Number.isInteger(preKey.keyId) &&
+  typeof preKey.publicKey === 'string' &&
+  preKey.publicKey.length > 0;
+
+const validateOneTimePreKeys = (oneTimePreKeys) =>
+  Array.isArray(oneTimePreKeys) &&
+  oneTimePreKeys.length <= MAX_BATCH_SIZE &&
+  oneTimePreKeys.every(isValidPreKey);
+
+// Upload a fresh bundle (replaces any existing signed and one-time prekeys)
+router.post('/upload', async (req, res) => {
+  try {
+    const { signedPreKey, oneTimePreKeys = [] } = req.body;
+
+    if (!isValidPreKey(signedPreKey) || !signedPreKey.signature) {
+      return res.status(400).json({ error: 'Invalid signed prekey' });
+    }
+
+    if (!validateOneTimePreKeys(oneTimePreKeys)) {
+      return res.status(400).json({ error: `One-time prekeys must be an array of at most ${MAX_BATCH_SIZE} keys` });
+    }
+
+    // Signed prekey must be vouched for by the registered identity key
+    const signedData = buildSignedPreKeyData(req.userId, signedPreKey.keyId, signedPreKey.publicKey);
+    if (!verifySignature(signedData, signedPreKey.signature, req.user.publicKey, req.user.keyAlgorithm)) {
+      await AuditLog.create({
+        eventType: 'INVALID_SIGNATURE',
+        userId: req.userId,
+        ipAddress: req.ip,
+        details: {
+          stage: 'prekey-upload',
+          keyId: signedPreKey.keyId
+        },
+        severity: 'CRITICAL'
+      });
+      logger.warn('Invalid signed prekey signature', { userId: req.userId });
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const bundle = await PreKeyBundle.findOneAndUpdate(
+      { userId: req.userId },
+      {
+        $set: {
+          signedPreKey: {
+            keyId: signedPreKey.keyId,
+            publicKey: signedPreKey.publicKey,
+            signature: signedPreKey.signature,
+            createdAt: new Date()
+          },
+          oneTimePreKeys: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey }))
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await AuditLog.create({
+      eventType: 'PREKEYS_UPLOADED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        signedPreKeyId: signedPreKey.keyId,
+        oneTimePreKeyCount: bundle.oneTimePreKeys.length
+      },
+      severity: 'INFO'
+    });
+
+    logger.info('Prekey bundle uploaded', { userId: req.userId });
+
+    res.status(201).json({
+      message: 'Prekey bundle uploaded',
+      signedPreKeyId: bundle.signedPreKey.keyId,
+      oneTimePreKeyCount: bundle.oneTimePreKeys.length
+    });
+  } catch (error) {
+    logger.error('Prekey upload error:', error);
+    res.status(500).json({ error: 'Failed to upload prekeys' });
+  }
+});
+
+// Add more one-time prekeys to an existing bundle
+router.post('/replenish', async (req, res) => {
+  try {
+    const { oneTimePreKeys } = req.body;
+
+    if (!validateOneTimePreKeys(oneTimePreKeys) || oneTimePreKeys.length === 0) {
+      return res.status(400).json({ error: `One-time prekeys must be a non-empty array of at most ${MAX_BATCH_SIZE} keys` });
+    }
+
+    const bundle = await PreKeyBundle.findOne({ userId: req.userId });
+    if (!bundle) {
+      return res.status(404).json({ error: 'No prekey bundle uploaded' });
+    }
+
+    if (bundle.oneTimePreKeys.length + oneTimePreKeys.length > MAX_ONE_TIME_PREKEYS) {
+      return res.status(400).json({ error: `At most ${MAX_ONE_TIME_PREKEYS} one-time prekeys can be stored` });
+    }
+
+    const updated = await PreKeyBundle.findOneAndUpdate(
+      { userId: req.userId },
+      { $push: { oneTimePreKeys: { $each: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey })) } } },
+      { new: true }
+    );
+
+    await AuditLog.create({
+      eventType: 'PREKEYS_UPLOADED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        added: oneTimePreKeys.length,
+        oneTimePreKeyCount: updated.oneTimePreKeys.length
+      },
+      severity: 'INFO'
+    });
+
+    res.json({
+      message: 'One-time prekeys replenished',
+      oneTimePreKeyCount: updated.oneTimePreKeys.length
+    });
+  } catch (error) {
+    logger.error('Prekey replenish error:', error);
+    res.status(500).json({ error: 'Failed to replenish prekeys' });
+  }
+});
+
+// Get status of current user's published bundle (to decide when to replenish)
+router.get('/status', async (req, res) => {
+  try {
+    const bundle = await PreKeyBundle.findOne({ userId: req.userId });
+    if (!bundle) {
+      return res.status(404).json({ error: 'No prekey bundle uploaded' });
+    }
+
+    res.json({
+      signedPreKeyId: bundle.signedPreKey.keyId,
+      signedPreKeyCreatedAt: bundle.signedPreKey.createdAt,
+      oneTimePreKeyCount: bundle.oneTimePreKeys.length
+    });
+  } catch (error) {
+    logger.error('Prekey status error:', error);
+    res.status(500).json({ error: 'Failed to fetch prekey status' });
+  }
+});
+
+// Claim another user's bundle; consumes one of their one-time prekeys
+router.post('/claim/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (userId === req.userId.toString()) {
+      return res.status(400).json({ error: 'Cannot claim your own prekeys' });
+    }
+
+    const owner = await User.findById(userId).select('publicKey keyAlgorithm');
+    if (!owner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Blocked users cannot start exchanges, so they must not drain prekeys either
+    if (await Contact.isBlocked(userId, req.userId)) {
+      return res.status(403).json({ error: 'This user is not accepting chat requests from you' });
+    }
+
+    // Atomically pop the oldest one-time prekey; the pre-update document
+    // tells us which one was removed
+    const bundle = await PreKeyBundle.findOneAndUpdate(
+      { userId },
+      { $pop: { oneTimePreKeys: -1 } },
+      { new: false }
+    );
+
+    if (!bundle) {
+      return res.status(404).json({ error: 'User has not published prekeys' });
+    }
+
+    const oneTimePreKey = bundle.oneTimePreKeys.length > 0 ? bundle.oneTimePreKeys[0] : null;
+
+    await AuditLog.create({
+      eventType: 'PREKEY_CLAIMED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      details: {
+        ownerId: userId,
+        signedPreKeyId: bundle.signedPreKey.keyId,
+        oneTimePreKeyId: oneTimePreKey ? oneTimePreKey.keyId : null
+      },
+      severity: oneTimePreKey ? 'INFO' : 'WARNING'
+    });
+
+    res.json({
+      userId,
+      identityKey: owner.publicKey,
+      keyAlgorithm: owner.keyAlgorithm,
+      signedPreKey: {
+        keyId: bundle.signedPreKey.keyId,
+        publicKey: bundle.signedPreKey.publicKey,
+        signature: bundle.signedPreKey.signature
+      },
+      oneTimePreKey
+    });
+  } catch (error) {
+    logger.error('Prekey claim error:', error);
+    res.status(500).json({ error: 'Failed to claim prekeys' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// Messages carry a client-signed send time; the server only accepts those
+// within MESSAGE_MAX_SKEW_MS (default 5 minutes) of its own clock, so
+// captured payloads cannot be replayed later with a fresh nonce
+const DEFAULT_MAX_SKEW_MS = 5 * 60 * 1000;
+
+const MESSAGE_MAX_SKEW_MS = parseInt(process.env.MESSAGE_MAX_SKEW_MS, 10) || DEFAULT_MAX_SKEW_MS;
+
+// Signed skew in milliseconds (positive when the sender's clock is ahead)
+const getSkew = (sentAt, now = Date.now()) => sentAt.getTime() - now;
+
+const isWithinSkewWindow = (sentAt, now = Date.now()) =>
+  Math.abs(getSkew(sentAt, now)) <= MESSAGE_MAX_SKEW_MS;
+
+module.exports = { MESSAGE_MAX_SKEW_MS, getSkew, isWithinSkewWindow };
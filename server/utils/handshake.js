@@ -0,0 +1,42 @@
+// Key exchange handshake transcript shared by both signatures and both
+// key confirmations. Must stay byte-identical to buildHandshakeTranscript
+// in client/src/utils/keyExchange.js
+const PROTOCOL_VERSION = 'e2ee-kex-v1';
+const PREKEY_PROTOCOL_VERSION = 'e2ee-x3dh-v1';
+const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_VERSION, PREKEY_PROTOCOL_VERSION];
+
+const buildHandshakeTranscript = (keyExchange) => {
+  const fields = [
+    keyExchange.protocolVersion,
+    keyExchange._id.toString(),
+    keyExchange.initiatorId.toString(),
+    keyExchange.responderId.toString(),
+    keyExchange.initiatorPublicKey,
+    keyExchange.responderPublicKey,
+    keyExchange.initiatorNonce,
+    keyExchange.responderNonce || ''
+  ];
+
+  // Prekey mode: responderPublicKey is the signed prekey, plus the one-time prekey
+  if (keyExchange.protocolVersion === PREKEY_PROTOCOL_VERSION) {
+    fields.push(
+      keyExchange.signedPreKeyId,
+      keyExchange.oneTimePreKeyId ?? '',
+      keyExchange.oneTimePreKey || ''
+    );
+  }
+
+  return fields.join('|');
+};
+
+// Data signed by a user's identity key to vouch for their signed prekey
+const buildSignedPreKeyData = (userId, keyId, publicKey) =>
+  `signed-prekey|${userId}|${keyId}|${publicKey}`;
+
+module.exports = {
+  PROTOCOL_VERSION,
+  PREKEY_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  buildHandshakeTranscript,
+  buildSignedPreKeyData
+};
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const KeyLogEntry = require('../models/KeyLogEntry');
+const TreeHead = require('../models/TreeHead');
+const logger = require('./logger');
+const { hashLeaf, treeHash, inclusionPath, consistencyProof } = require('./merkle');
+
+// Key transparency log. Every identity key a user registers or rotates to is
+// appended as a leaf; after each append a new tree head is signed with the
+// log's ECDSA P-256 key. Leaf and tree head formats must stay byte-identical
+// to client/src/utils/keyTransparency.js
+const MAX_APPEND_ATTEMPTS = 5;
+
+const buildKeyLogLeaf = (entry) =>
+  [
+    'key-log-leaf',
+    entry.userId.toString(),
+    entry.username,
+    entry.keyVersion,
+    entry.publicKey,
+    entry.keyAlgorithm,
+    entry.keySize,
+    entry.loggedAt
+  ].join('|');
+
+const buildTreeHeadData = (treeHead) =>
+  `key-log-tree-head|${treeHead.treeSize}|${treeHead.rootHash}|${treeHead.timestamp}`;
+
+// Where a generated signing key is kept when KEY_LOG_PRIVATE_KEY is not set
+const KEY_LOG_KEY_FILE = process.env.KEY_LOG_KEY_FILE || path.join(__dirname, '..', 'key-log-key.pem');
+
+// Log signing key from KEY_LOG_PRIVATE_KEY (PKCS#8 PEM). Clients pin its
+// public key, so it must survive restarts: production refuses to run without
+// it, and elsewhere a generated key is saved to KEY_LOG_KEY_FILE and reused
+const loadSigningKey = () => {
+  if (process.env.KEY_LOG_PRIVATE_KEY) {
+    return crypto.createPrivateKey(process.env.KEY_LOG_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('KEY_LOG_PRIVATE_KEY must be set in production');
+  }
+
+  if (fs.existsSync(KEY_LOG_KEY_FILE)) {
+    return crypto.createPrivateKey(fs.readFileSync(KEY_LOG_KEY_FILE, 'utf8'));
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  fs.writeFileSync(KEY_LOG_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  logger.warn('KEY_LOG_PRIVATE_KEY not set; generated a key transparency signing key', { file: KEY_LOG_KEY_FILE });
+  return privateKey;
+};
+
+let signingKey = null;
+const getSigningKey = () => {
+  if (!signingKey) {
+    signingKey = loadSigningKey();
+  }
+  return signingKey;
+};
+
+// Base64 SPKI public key clients use to verify tree head signatures
+const getLogPublicKey = () =>
+  crypto.createPublicKey(getSigningKey()).export({ format: 'der', type: 'spki' }).toString('base64');
+
+const signTreeHead = (treeHead) =>
+  crypto
+    .sign('sha256', Buffer.from(buildTreeHeadData(treeHead), 'utf8'), {
+      key: getSigningKey(),
+      dsaEncoding: 'ieee-p1363'
+    })
+    .toString('base64');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+const loadLeafHashes = async (treeSize) => {
+  const entries = await KeyLogEntry.find({ index: { $lt: treeSize } })
+    .sort({ index: 1 })
+    .select('leafHash')
+    .lean();
+  return entries.map((entry) => Buffer.from(entry.leafHash, 'base64'));
+};
+
+const formatTreeHead = (treeHead) => ({
+  treeSize: treeHead.treeSize,
+  rootHash: treeHead.rootHash,
+  timestamp: treeHead.timestamp,
+  signature: treeHead.signature
+});
+
+const getLatestTreeHead = async () => {
+  const treeHead = await TreeHead.findOne().sort({ treeSize: -1 }).lean();
+  return treeHead ? formatTreeHead(treeHead) : null;
+};
+
+// Sign and publish a tree head covering every leaf appended so far
+const publishTreeHead = async () => {
+  const treeSize = await KeyLogEntry.countDocuments();
+  const leafHashes = await loadLeafHashes(treeSize);
+
+  const treeHead = {
+    treeSize,
+    rootHash: treeHash(leafHashes).toString('base64'),
+    timestamp: new Date().toISOString()
+  };
+  treeHead.signature = signTreeHead(treeHead);
+
+  try {
+    await TreeHead.create(treeHead);
+    return treeHead;
+  } catch (error) {
+    // A concurrent append already published this size
+    if (isDuplicateKey(error)) {
+      return formatTreeHead(await TreeHead.findOne({ treeSize }).lean());
+    }
+    throw error;
+  }
+};
+
+// Sign the latest tree head again with the current signing key, so the head
+// served after a restart or key change always verifies against the key
+// clients are given. A tree that grew without a head gets a new one
+const republishTreeHead = async () => {
+  const treeSize = await KeyLogEntry.countDocuments();
+  if (treeSize === 0) {
+    return null;
+  }
+
+  const latest = await TreeHead.findOne().sort({ treeSize: -1 }).lean();
+  if (!latest || latest.treeSize < treeSize) {
+    return publishTreeHead();
+  }
+
+  const treeHead = {
+    treeSize: latest.treeSize,
+    rootHash: latest.rootHash,
+    timestamp: new Date().toISOString()
+  };
+  treeHead.signature = signTreeHead(treeHead);
+
+  await TreeHead.updateOne(
+    { treeSize: latest.treeSize },
+    { $set: { timestamp: treeHead.timestamp, signature: treeHead.signature } }
+  );
+  logger.info('Key transparency tree head re-signed', { treeSize: treeHead.treeSize });
+  return treeHead;
+};
+
+// Append a user's current identity key (idempotent per key version)
+const appendKey = async (user) => {
+  const keyVersion = user.keyVersion || 1;
+
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const existing = await KeyLogEntry.findOne({ userId: user._id, keyVersion }).lean();
+    if (existing) {
+      return existing;
+    }
+
+    const last = await KeyLogEntry.findOne().sort({ index: -1 }).select('index').lean();
+    const entry = {
+      index: last ? last.index + 1 : 0,
+      userId: user._id,
+      username: user.username,
+      keyVersion,
+      publicKey: user.publicKey,
+      keyAlgorithm: user.keyAlgorithm,
+      keySize: user.keySize,
+      loggedAt: new Date().toISOString()
+    };
+    entry.leafHash = hashLeaf(buildKeyLogLeaf(entry)).toString('base64');
+
+    try {
+      await KeyLogEntry.create(entry);
+      await publishTreeHead();
+      logger.info('Key appended to transparency log', { userId: user._id, keyVersion, index: entry.index });
+      return entry;
+    } catch (error) {
+      // Another append took this index; retry with the next one
+      if (!isDuplicateKey(error)) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Failed to append key to transparency log');
+};
+
+// Inclusion proofs for users' current keys against the latest tree head.
+// Returns { treeHead, proofs } with proofs keyed by user id
+const getInclusionProofs = async (users) => {
+  const treeHead = await getLatestTreeHead();
+  const proofs = {};
+  if (!treeHead) {
+    return { treeHead, proofs };
+  }
+
+  const entries = await KeyLogEntry.find({
+    index: { $lt: treeHead.treeSize },
+    $or: users.map((user) => ({ userId: user._id, keyVersion: user.keyVersion || 1 }))
+  }).lean();
+
+  if (entries.length === 0) {
+    return { treeHead, proofs };
+  }
+
+  const leafHashes = await loadLeafHashes(treeHead.treeSize);
+  entries.forEach((entry) => {
+    proofs[entry.userId.toString()] = {
+      leafIndex: entry.index,
+      loggedAt: entry.loggedAt,
+      auditPath: inclusionPath(entry.index, leafHashes).map((hash) => hash.toString('base64'))
+    };
+  });
+
+  return { treeHead, proofs };
+};
+
+const getConsistencyProof = async (fromSize, toSize) => {
+  const leafHashes = await loadLeafHashes(toSize);
+  return consistencyProof(fromSize, leafHashes).map((hash) => hash.toString('base64'));
+};
+
+// Log the current keys of accounts created before the transparency log existed
+const backfillKeyLog = async () => {
+  const users = await User.find().select('username publicKey keyAlgorithm keySize keyVersion').lean();
+  for (const user of users) {
+    await appendKey(user);
+  }
+};
+
+module.exports = {
+  buildKeyLogLeaf,
+  buildTreeHeadData,
+  getSigningKey,
+  getLogPublicKey,
+  republishTreeHead,
+  getLatestTreeHead,
+  appendKey,
+  getInclusionProofs,
+  getConsistencyProof,
+  backfillKeyLog
+};
@@ -0,0 +1,24 @@
+// Identity key rotation statement, signed by both the outgoing and the new
+// identity key. Must stay byte-identical to buildKeyRotationStatement in
+// client/src/utils/keyRotation.js
+const buildKeyRotationStatement = ({
+  userId,
+  keyVersion,
+  publicKey,
+  nextPublicKey,
+  nextKeyAlgorithm,
+  nextKeySize,
+  timestamp
+}) =>
+  [
+    'key-rotation',
+    userId.toString(),
+    keyVersion,
+    publicKey,
+    nextPublicKey,
+    nextKeyAlgorithm,
+    nextKeySize,
+    timestamp
+  ].join('|');
+
+module.exports = { buildKeyRotationStatement };
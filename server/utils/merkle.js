@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// RFC 6962 Merkle tree hashing. Leaves and interior nodes use distinct
+// prefixes so a leaf can never be passed off as a subtree.
+// Must stay compatible with the proof verification in client/src/utils/crypto.js
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+const hashLeaf = (data) => sha256(Buffer.from([0x00]), Buffer.from(data, 'utf8'));
+
+const hashChildren = (left, right) => sha256(Buffer.from([0x01]), left, right);
+
+// Largest power of two strictly less than n (n > 1)
+const splitPoint = (n) => {
+  let k = 1;
+  while (k * 2 < n) {
+    k *= 2;
+  }
+  return k;
+};
+
+// Merkle tree hash of leafHashes[start, end)
+const treeHash = (leafHashes, start = 0, end = leafHashes.length) => {
+  const n = end - start;
+  if (n === 0) {
+    return sha256(Buffer.alloc(0));
+  }
+  if (n === 1) {
+    return leafHashes[start];
+  }
+  const k = splitPoint(n);
+  return hashChildren(treeHash(leafHashes, start, start + k), treeHash(leafHashes, start + k, end));
+};
+
+// Audit path for leaf m in leafHashes[start, end), leaf to root order
+const inclusionPath = (m, leafHashes, start = 0, end = leafHashes.length) => {
+  const n = end - start;
+  if (n <= 1) {
+    return [];
+  }
+  const k = splitPoint(n);
+  if (m < k) {
+    return [...inclusionPath(m, leafHashes, start, start + k), treeHash(leafHashes, start + k, end)];
+  }
+  return [...inclusionPath(m - k, leafHashes, start + k, end), treeHash(leafHashes, start, start + k)];
+};
+
+const subproof = (m, leafHashes, start, end, complete) => {
+  const n = end - start;
+  if (m === n) {
+    return complete ? [] : [treeHash(leafHashes, start, end)];
+  }
+  const k = splitPoint(n);
+  if (m <= k) {
+    return [...subproof(m, leafHashes, start, start + k, complete), treeHash(leafHashes, start + k, end)];
+  }
+  return [...subproof(m - k, leafHashes, start + k, end, false), treeHash(leafHashes, start, start + k)];
+};
+
+// Proof that the tree of the first m leaves is a prefix of the whole tree
+const consistencyProof = (m, leafHashes) => {
+  if (m === 0 || m >= leafHashes.length) {
+    return [];
+  }
+  return subproof(m, leafHashes, 0, leafHashes.length, true);
+};
+
+module.exports = {
+  hashLeaf,
+  treeHash,
+  inclusionPath,
+  consistencyProof
+};
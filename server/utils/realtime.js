@@ -0,0 +1,17 @@
+// Socket.IO delivery to authenticated users. Every socket joins the room of
+// the user it authenticated as, so events reach only that user's devices
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+
+const attachIo = (server) => {
+  io = server;
+};
+
+const emitToUser = (userId, event, payload) => {
+  if (io) {
+    io.to(userRoom(userId.toString())).emit(event, payload);
+  }
+};
+
+module.exports = { userRoom, attachIo, emitToUser };
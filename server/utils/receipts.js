@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { emitToUser } = require('./realtime');
+
+const RECEIPT_TYPES = ['delivered', 'read'];
+
+// Record a delivered or read receipt from a message's receiver and push the
+// new state to the sender. Read receipts are downgraded to delivered when the
+// receiver has turned them off. Resolves { message } or { status, error }
+const recordReceipt = async (userId, messageId, type) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { status: 400, error: 'Invalid message ID' };
+  }
+
+  if (!RECEIPT_TYPES.includes(type)) {
+    return { status: 400, error: 'Receipt type must be delivered or read' };
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    return { status: 404, error: 'Message not found' };
+  }
+
+  if (message.receiverId.toString() !== userId.toString()) {
+    return { status: 403, error: 'Only the receiver can acknowledge a message' };
+  }
+
+  const now = new Date();
+  let changed = false;
+
+  if (!message.deliveredAt) {
+    message.deliveredAt = now;
+    changed = true;
+  }
+
+  if (type === 'read' && !message.readAt) {
+    const receiver = await User.findById(userId).select('readReceipts');
+    if (receiver?.readReceipts !== false) {
+      message.readAt = now;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await message.save();
+    emitToUser(message.senderId, 'message:receipt', {
+      messageId: message._id,
+      deliveredAt: message.deliveredAt,
+      readAt: message.readAt
+    });
+  }
+
+  return { message };
+};
+
+module.exports = { RECEIPT_TYPES, recordReceipt };
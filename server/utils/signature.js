@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// Verify a base64 signature produced by the client's Web Crypto API against
+// a base64 SPKI public key as stored in User.publicKey.
+// RSA keys use RSASSA-PKCS1-v1_5; ECC keys use ECDSA, whose Web Crypto
+// signatures are raw r||s (IEEE P1363) rather than DER
+const verifySignature = (data, signature, publicKey, keyAlgorithm = 'RSA') => {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+
+    return crypto.verify(
+      'sha256',
+      Buffer.from(data, 'utf8'),
+      keyAlgorithm === 'ECC' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    // Malformed keys or signatures are treated as invalid
+    return false;
+  }
+};
+
+module.exports = { verifySignature };